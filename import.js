@@ -0,0 +1,9 @@
+// is used only in System.import() test
+if (typeof System !== 'undefined')
+{
+	module.exports = System.import('./test/node_modules/whatever')
+}
+else
+{
+	module.exports = { broken: true }
+}
\ No newline at end of file
@@ -0,0 +1,7 @@
+// Node.js ES modules loader hooks
+// (are registered by the `.register_esm_loader()` method)
+import { createRequire } from 'module'
+
+const require = createRequire(import.meta.url)
+
+export const { initialize, resolve, load } = require('./babel-transpiled-modules/esm loader')
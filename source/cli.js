@@ -0,0 +1,518 @@
+// The `webpack-isomorphic-tools` command line tool
+// for inspecting webpack-assets.json (e.g. on a CI server).
+//
+//  * `inspect` lists chunks and assets (by type) along with their sizes
+//  * `lookup <path>` finds an asset the same way `require()` on the server does
+//  * `diff <old> <new>` compares two webpack-assets.json files
+//
+// Exit codes: `0` for success, `1` for "not found" (`lookup`)
+// or "there are differences" (`diff --exit-code`), `2` for errors.
+
+import path from 'path'
+import fs   from 'fs'
+
+import minimist from 'minimist'
+
+import { exists } from './helpers'
+import { find_asset_path, closest_asset_paths, normalize_asset_path, read_webpack_assets, pick_compiler_assets } from './common'
+import { local_file_path } from './verify manifest'
+import { webpack_isomorphic_tools_error, configuration_error, manifest_unavailable_error } from './errors'
+
+const usage =
+`Usage: webpack-isomorphic-tools <command> [options]
+
+Commands:
+
+  inspect                Lists chunks and assets along with their sizes
+  lookup <path>          Finds an asset (the path is relative to the current directory)
+  diff <old> <new>       Compares two webpack-assets.json files
+
+Options:
+
+  --manifest <path>      webpack-assets.json path (default: "webpack-assets.json")
+  --project <path>       Project base path (default: the folder of webpack-assets.json)
+  --compiler <name>      Webpack MultiCompiler child compiler name
+  --json                 Output JSON
+  --exit-code            (diff) Exit with code 1 if there are differences`
+
+// runs a command given command line arguments
+// (without "node" and the script path).
+// returns the exit code.
+export default function run(argv, output = console)
+{
+	const options = minimist(argv,
+	{
+		string  : ['manifest', 'project', 'compiler'],
+		boolean : ['json', 'exit-code', 'help'],
+		default : { manifest: 'webpack-assets.json' }
+	})
+
+	const [command, ...parameters] = options._
+
+	if (options.help || !command)
+	{
+		output.log(usage)
+		return options.help ? 0 : 2
+	}
+
+	const print = (result, text) => output.log(options.json ? JSON.stringify(result, null, 2) : text(result))
+
+	try
+	{
+		switch (command)
+		{
+			case 'inspect':
+			{
+				const manifest = read(options.manifest, options)
+				print(inspect(manifest.webpack_assets, manifest.project_path), inspect_text)
+				return 0
+			}
+
+			case 'lookup':
+			{
+				if (parameters.length !== 1)
+				{
+					throw new configuration_error(`"lookup" takes an asset path`)
+				}
+
+				const manifest = read(options.manifest, options)
+				const result = lookup(manifest.webpack_assets, parameters[0], manifest.project_path)
+				print(result, lookup_text)
+				return result.found ? 0 : 1
+			}
+
+			case 'diff':
+			{
+				if (parameters.length !== 2)
+				{
+					throw new configuration_error(`"diff" takes two webpack-assets.json paths`)
+				}
+
+				const from = read(parameters[0], options)
+				const to   = read(parameters[1], options)
+
+				const result = diff(from.webpack_assets, to.webpack_assets, from.project_path, to.project_path)
+				print(result, diff_text)
+				return options['exit-code'] && result.changed ? 1 : 0
+			}
+
+			default:
+				throw new configuration_error(`Unknown command "${command}". Run with --help to see the available commands.`)
+		}
+	}
+	catch (error)
+	{
+		// (an unexpected error is a bug, so show its stack trace)
+		output.error(error instanceof webpack_isomorphic_tools_error ? error.message : error.stack)
+		return 2
+	}
+}
+
+// reads a webpack-assets.json file
+// (merging in its chunks info and picking a `MultiCompiler` compiler's assets)
+export function read_manifest(manifest_path, compiler_name)
+{
+	manifest_path = path.resolve(manifest_path)
+
+	const read = file_path => read_webpack_assets(file_path, read_json)
+
+	return pick_compiler_assets(read(manifest_path), manifest_path, compiler_name, read)
+}
+
+// lists chunks (with their files) and assets (by type)
+export function inspect(webpack_assets, project_path)
+{
+	const result =
+	{
+		format_version : webpack_assets.format_version,
+		hash           : webpack_assets.hash,
+		chunks         : {},
+		assets         : {}
+	}
+
+	for (let name of Object.keys(chunks(webpack_assets)))
+	{
+		result.chunks[name] = chunk_files(webpack_assets, name, project_path)
+	}
+
+	for (let asset_path of Object.keys(webpack_assets.assets || {}))
+	{
+		const type = asset_type(asset_path)
+
+		if (!result.assets[type])
+		{
+			result.assets[type] = []
+		}
+
+		result.assets[type].push({ path: asset_path, size: value_size(webpack_assets.assets[asset_path]) })
+	}
+
+	return result
+}
+
+// finds an asset by its filesystem path
+// (the way `require()`d assets are looked up on the server).
+// if not found, lists the closest asset paths.
+export function lookup(webpack_assets, file_path, project_path)
+{
+	const assets = webpack_assets.assets || {}
+
+	const asset_path = normalize_asset_path(path.resolve(file_path), project_path)
+
+	const found_path = find_asset_path(assets, asset_path, project_path)
+
+	if (!exists(found_path))
+	{
+		return { asset_path, found: false, closest: closest_asset_paths(assets, asset_path, 3) }
+	}
+
+	return { asset_path, found: true, path: found_path, value: assets[found_path] }
+}
+
+// compares two webpack-assets.json files:
+// added, removed and changed assets and chunks (with size deltas).
+export function diff(from, to, from_project_path, to_project_path = from_project_path)
+{
+	const result =
+	{
+		assets : { added: [], removed: [], changed: [] },
+		chunks : { added: [], removed: [], changed: [] }
+	}
+
+	const from_assets = from.assets || {}
+	const to_assets   = to.assets   || {}
+
+	for (let asset_path of Object.keys(to_assets))
+	{
+		if (!from_assets.hasOwnProperty(asset_path))
+		{
+			result.assets.added.push({ path: asset_path, size: value_size(to_assets[asset_path]) })
+		}
+		else if (JSON.stringify(from_assets[asset_path]) !== JSON.stringify(to_assets[asset_path]))
+		{
+			result.assets.changed.push(size_change({ path: asset_path }, value_size(from_assets[asset_path]), value_size(to_assets[asset_path])))
+		}
+	}
+
+	for (let asset_path of Object.keys(from_assets))
+	{
+		if (!to_assets.hasOwnProperty(asset_path))
+		{
+			result.assets.removed.push({ path: asset_path, size: value_size(from_assets[asset_path]) })
+		}
+	}
+
+	const from_chunks = chunks(from)
+	const to_chunks   = chunks(to)
+
+	for (let name of Object.keys(to_chunks))
+	{
+		const to_files = chunk_files(to, name, to_project_path)
+
+		if (!from_chunks.hasOwnProperty(name))
+		{
+			result.chunks.added.push({ name, files: to_files, size: total_size(to_files) })
+			continue
+		}
+
+		const from_files = chunk_files(from, name, from_project_path)
+
+		const from_urls = from_files.map(file => file.url)
+		const to_urls   = to_files.map(file => file.url)
+
+		const added_files   = to_files.filter(file => from_urls.indexOf(file.url) < 0)
+		const removed_files = from_files.filter(file => to_urls.indexOf(file.url) < 0)
+
+		const change = size_change({ name, added_files, removed_files }, total_size(from_files), total_size(to_files))
+
+		if (added_files.length > 0 || removed_files.length > 0 || change.delta)
+		{
+			result.chunks.changed.push(change)
+		}
+	}
+
+	for (let name of Object.keys(from_chunks))
+	{
+		if (!to_chunks.hasOwnProperty(name))
+		{
+			const from_files = chunk_files(from, name, from_project_path)
+			result.chunks.removed.push({ name, files: from_files, size: total_size(from_files) })
+		}
+	}
+
+	result.changed = [result.assets, result.chunks].some(section => section.added.length > 0 || section.removed.length > 0 || section.changed.length > 0)
+
+	return result
+}
+
+// reads webpack-assets.json for a command
+function read(manifest_path, options)
+{
+	return {
+		webpack_assets : read_manifest(manifest_path, options.compiler),
+		project_path   : path.resolve(options.project || path.dirname(path.resolve(manifest_path)))
+	}
+}
+
+function read_json(file_path)
+{
+	if (!fs.existsSync(file_path))
+	{
+		throw new manifest_unavailable_error(`"${file_path}" not found`, { path: file_path })
+	}
+
+	try
+	{
+		return JSON.parse(fs.readFileSync(file_path, 'utf8'))
+	}
+	catch (error)
+	{
+		throw new manifest_unavailable_error(`"${file_path}" is not a valid JSON file: ${error.message}`, { path: file_path, cause: error })
+	}
+}
+
+// chunk files by chunk name
+// (webpack-assets.json written by an older version of the plugin
+//  only has `javascript` and `styles`)
+function chunks(webpack_assets)
+{
+	if (webpack_assets.chunks)
+	{
+		return webpack_assets.chunks
+	}
+
+	const result = {}
+
+	for (let type of ['javascript', 'styles'])
+	{
+		for (let name of Object.keys(webpack_assets[type] || {}))
+		{
+			if (!result[name])
+			{
+				result[name] = {}
+			}
+
+			result[name][type] = [webpack_assets[type][name]]
+		}
+	}
+
+	return result
+}
+
+// lists a chunk's files along with their sizes
+// (a file size is only known if the file is served locally)
+function chunk_files(webpack_assets, name, project_path)
+{
+	const files = chunks(webpack_assets)[name]
+
+	const result = []
+
+	for (let type of Object.keys(files))
+	{
+		for (let url of files[type])
+		{
+			result.push({ type, url, size: file_size(local_file_path(url, webpack_assets, project_path)) })
+		}
+	}
+
+	return result
+}
+
+function file_size(file_path)
+{
+	if (file_path && fs.existsSync(file_path))
+	{
+		return fs.statSync(file_path).size
+	}
+}
+
+// the total size of chunk files
+// (unknown if any of the file sizes is unknown)
+function total_size(files)
+{
+	let size = 0
+
+	for (let file of files)
+	{
+		if (!exists(file.size))
+		{
+			return
+		}
+
+		size += file.size
+	}
+
+	return size
+}
+
+// the size of an asset value (e.g. a URL or CSS) in bytes
+function value_size(value)
+{
+	return Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value) || '')
+}
+
+function size_change(change, from_size, to_size)
+{
+	change.from_size = from_size
+	change.to_size   = to_size
+
+	if (exists(from_size) && exists(to_size))
+	{
+		change.delta = to_size - from_size
+	}
+
+	return change
+}
+
+// the asset type is its file extension
+// ("./~/font-awesome/fonts/fontawesome-webfont.woff2?v=4.5.0" -> "woff2")
+function asset_type(asset_path)
+{
+	const extension = path.extname(asset_path.split('?')[0])
+	return extension ? extension.slice(1) : '(none)'
+}
+
+function inspect_text(result)
+{
+	const lines = []
+
+	lines.push(`Hash: ${result.hash}`)
+
+	if (exists(result.format_version))
+	{
+		lines.push(`Format version: ${result.format_version}`)
+	}
+
+	lines.push('')
+	lines.push('Chunks:')
+
+	for (let name of Object.keys(result.chunks))
+	{
+		lines.push(`  ${name}${size_text(total_size(result.chunks[name]))}`)
+
+		for (let file of result.chunks[name])
+		{
+			lines.push(`    ${file.url}${size_text(file.size)}`)
+		}
+	}
+
+	lines.push('')
+	lines.push('Assets:')
+
+	for (let type of Object.keys(result.assets).sort())
+	{
+		const assets = result.assets[type]
+
+		lines.push(`  ${type} (${assets.length})${size_text(assets.reduce((total, asset) => total + asset.size, 0))}`)
+
+		for (let asset of assets)
+		{
+			lines.push(`    ${asset.path}${size_text(asset.size)}`)
+		}
+	}
+
+	return lines.join('\n')
+}
+
+function lookup_text(result)
+{
+	if (result.found)
+	{
+		return `${result.path}\n${typeof result.value === 'string' ? result.value : JSON.stringify(result.value, null, 2)}`
+	}
+
+	if (result.closest.length === 0)
+	{
+		return `Asset not found: ${result.asset_path}`
+	}
+
+	return `Asset not found: ${result.asset_path}\nThe closest ones are:\n${result.closest.map(asset_path => `  ${asset_path}`).join('\n')}`
+}
+
+function diff_text(result)
+{
+	if (!result.changed)
+	{
+		return 'No differences'
+	}
+
+	const lines = []
+
+	const section = (title, { added, removed, changed }, key, details) =>
+	{
+		if (added.length === 0 && removed.length === 0 && changed.length === 0)
+		{
+			return
+		}
+
+		lines.push(`${title}:`)
+
+		for (let entry of added)
+		{
+			lines.push(`  + ${entry[key]}${size_text(entry.size)}`)
+		}
+
+		for (let entry of removed)
+		{
+			lines.push(`  - ${entry[key]}${size_text(entry.size)}`)
+		}
+
+		for (let entry of changed)
+		{
+			lines.push(`  ~ ${entry[key]}${change_text(entry)}`)
+
+			if (details)
+			{
+				details(entry)
+			}
+		}
+	}
+
+	section('Assets', result.assets, 'path')
+
+	section('Chunks', result.chunks, 'name', (chunk) =>
+	{
+		for (let file of chunk.added_files)
+		{
+			lines.push(`      + ${file.url}`)
+		}
+
+		for (let file of chunk.removed_files)
+		{
+			lines.push(`      - ${file.url}`)
+		}
+	})
+
+	return lines.join('\n')
+}
+
+function size_text(size)
+{
+	return exists(size) ? ` (${format_size(size)})` : ''
+}
+
+function change_text({ from_size, to_size, delta })
+{
+	if (!exists(delta))
+	{
+		return ''
+	}
+
+	return ` (${format_size(from_size)} -> ${format_size(to_size)}, ${delta < 0 ? '-' : '+'}${format_size(Math.abs(delta))})`
+}
+
+// "1536" -> "1.5 kB"
+export function format_size(size)
+{
+	if (size < 1024)
+	{
+		return `${size} B`
+	}
+
+	if (size < 1024 * 1024)
+	{
+		return `${(size / 1024).toFixed(1)} kB`
+	}
+
+	return `${(size / (1024 * 1024)).toFixed(1)} MB`
+}
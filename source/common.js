@@ -3,7 +3,13 @@ import fs from 'fs'
 
 import require_hacker from 'require-hacker'
 
-import { is_object, exists, starts_with } from './helpers'
+import { exists, starts_with, ends_with, closest_matches } from './helpers'
+import { missing_asset_policies } from './options'
+import { asset_not_found_error, configuration_error } from './errors'
+
+// webpack-assets.json format version
+// (is incremented on incompatible format changes)
+export const manifest_format_version = 1
 
 // returns a stub for webpack-assets.json if it doesn't exist yet
 // (because node.js and webpack are being run in parallel in development mode)
@@ -13,265 +19,548 @@ export function default_webpack_assets()
 	{
 		javascript: {},
 		styles: {},
+		chunks: {},
+		entrypoints: {},
+		integrity: {},
+		contexts: {},
 		assets: {}
 	}
 
 	return webpack_assets
 }
 
-// adds missing fields, etc
-export function normalize_options(options)
+// alias the path if an alias is found,
+// and resolve it to a global filesystem path
+export function alias_hook(path, module, project_path, aliases, log)
+{
+	// possibly alias the path
+	const aliased_path = alias(path, aliases)
+
+	// return if an alias not found
+	if (!aliased_path)
+	{
+		return
+	}
+
+	// if an alias is found, require() the correct path
+	log.debug(`require("${path}") was called and an alias was found, so aliasing to module path "${aliased_path}"`)
+
+	// resolve the path to a real filesystem path (resolves `npm link`, etc)
+	const global_path = require_hacker.resolve(aliased_path, module)
+	log.debug(` resolved the path for the aliased module to ${global_path}`)
+
+	return global_path
+
+	// const result = require(global_path)
+	// // log.debug(` the path was found`)
+
+	// return require_hacker.to_javascript_module_source(result)
+}
+
+// alias the path provided the aliases map
+// the same way Webpack does it
+// https://webpack.js.org/configuration/resolve/#resolvealias
+//
+//  * "name" matches both "name" and "name/whatever"
+//    (including scoped package names like "@scope/name")
+//  * "name$" only matches "name" exactly
+//  * the longest matching alias wins
+//    (e.g. "@scope/name/sub" over "@scope/name")
+//
+// aliases can point to module names,
+// absolute folder paths, or absolute file paths.
+//
+export function alias(path, aliases)
 {
-	// parameters check
-	for (let key of Object.keys(options))
+	let matched_name
+	let matched_alias
+
+	for (let key of Object.keys(aliases))
 	{
-		switch (key)
+		if (!aliases[key])
 		{
-			case 'assets':
-				if (!is_object(options[key]))
-				{
-					throw new Error(`"${key}" configuration parameter must be ` + `an object`)
-				}
-				break
+			continue
+		}
 
-			case 'debug':
-				if (typeof options[key] !== 'boolean')
-				{
-					throw new Error(`"${key}" configuration parameter must be ` + `a boolean`)
-				}
-				break
+		const exact = ends_with(key, '$')
+		const name = exact ? key.slice(0, -1) : key
 
-			case 'verbose':
-				if (typeof options[key] !== 'boolean')
-				{
-					throw new Error(`"${key}" configuration parameter must be ` + `a boolean`)
-				}
-				// Legacy `verbose` option is converted to `verbosity`
-				console.log('[webpack-isomorphic-tools] WARNING: `verbose` option is now called `verbosity`')
-				if (options.verbose)
-				{
-					options.verbosity = verbosity_levels.webpack_stats_for_each_build
-				}
-				delete options.verbose
-				break
+		if (path !== name && (exact || !starts_with(path, name + '/')))
+		{
+			continue
+		}
 
-			case 'verbosity':
-				if (typeof options[key] !== 'string')
-				{
-					throw new Error(`"${key}" configuration parameter must be ` + `a string`)
-				}
-				if (Object.keys(verbosity_levels).map(key => verbosity_levels[key]).indexOf(options[key]) < 0)
-				{
-					throw new Error(`Unknown "verbosity" passed: ${options[key]}`)
-				}
-				break
+		// (an exact match alias is preferred
+		//  over a prefix alias having the same name)
+		if (exists(matched_name) && (name.length < matched_name.length || (name.length === matched_name.length && !exact)))
+		{
+			continue
+		}
 
-			case 'port':
-				if (typeof options[key] !== 'number')
-				{
-					throw new Error(`"${key}" configuration parameter must be ` + `a number`)
-				}
-				break
+		matched_name  = name
+		matched_alias = aliases[key]
+	}
 
-			case 'webpack_assets_file_path':
-			case 'webpack_stats_file_path':
-				if (typeof options[key] !== 'string')
-				{
-					throw new Error(`"${key}" configuration parameter must be ` + `a string`)
-				}
-				break
+	// if no alias is found
+	if (!exists(matched_name))
+	{
+		return
+	}
 
-			case 'alias':
-				if (!is_object(options[key]))
-				{
-					throw new Error(`"${key}" configuration parameter must be ` + `an object`)
-				}
-				break
+	const rest = path.slice(matched_name.length)
 
-			case 'modules_directories':
-				if (!Array.isArray(options[key]))
-				{
-					throw new Error(`"${key}" configuration parameter must be ` + `an array`)
-				}
-				break
+	// (e.g. "/path/to/folder/" + "/file.js")
+	if (rest && ends_with(matched_alias, '/'))
+	{
+		return matched_alias + rest.slice(1)
+	}
 
-			case 'require_context':
-				if (typeof options[key] !== 'boolean')
-				{
-					throw new Error(`"${key}" configuration parameter must be ` + `a boolean`)
-				}
-				// Legacy `require_context` option is converted to `patch_require`
-				console.log('[webpack-isomorphic-tools] WARNING: `require_context` option is now called `patch_require`')
-				delete options.require_context
-				options.patch_require = true
-				break
-
-			case 'patch_require':
-				if (typeof options[key] !== 'boolean')
-				{
-					throw new Error(`"${key}" configuration parameter must be ` + `a boolean`)
-				}
-				break
+	return matched_alias + rest
+}
+
+// parses a loader-powered path
+// (e.g. "style!css?modules!./style.css")
+// into its loaders part and its asset path part.
+// returns nothing for non-loader paths.
+export function parse_loader_path(required_path)
+{
+	// filter out non-loader paths
+	// (ignore filesystem paths (both Linux and Windows)
+	//  and non-loader paths)
+	if (starts_with(required_path, '/')
+		|| starts_with(required_path, './')
+		|| starts_with(required_path, '../')
+		|| required_path.indexOf(':') > 0
+		|| required_path.indexOf('!') < 0)
+	{
+		return
+	}
 
-			default:
-				throw new Error(`Unknown configuration parameter "${key}"`)
+	let parts = required_path.split('!')
+	const asset_path = parts.pop()
+
+	// extra measures taken here to not
+	// confuse some legit require()d path
+	// with a seemingly loader-powered one
+	if (!starts_with(asset_path, './')
+		&& !starts_with(asset_path, '../'))
+	{
+		return
+	}
+
+	const loaders = parts.map(loader =>
+	{
+		let loader_parts = loader.split('?')
+
+		if (!ends_with(loader_parts[0], '-loader'))
+		{
+			loader_parts[0] += '-loader'
 		}
+
+		return `./~/${loader_parts.join('?')}`
+	})
+
+	return { loaders: loaders.join('!'), asset_path }
+}
+
+// finds an asset in the webpack-assets.json assets list
+// (returns nothing if the asset was not found)
+export function find_asset(assets, asset_path, project_path, log)
+{
+	const webpack_asset_path = find_asset_path(assets, asset_path, project_path)
+
+	if (exists(webpack_asset_path))
+	{
+		log.debug(`  found "${webpack_asset_path}"`)
+		return assets[webpack_asset_path]
+	}
+}
+
+// finds the path of an asset as it is in webpack-assets.json
+// (returns nothing if the asset was not found)
+export function find_asset_path(assets, asset_path, project_path)
+{
+	const canonical_path = canonical_asset_path(asset_path)
+
+	const index = assets_index(assets)
+
+	if (exists(index.paths[canonical_path]) || !project_path)
+	{
+		return index.paths[canonical_path]
+	}
+
+	// symlinked files are only looked up on a miss
+	// (so that the filesystem isn't hit every time webpack-assets.json is reloaded)
+	return real_paths_index(index, assets, project_path)[canonical_path]
+}
+
+// "asset not found" messages by asset path for each webpack-assets.json object
+// (so that the closest asset paths aren't looked for on every miss)
+const asset_not_found_messages = new WeakMap()
+
+// an error message for an asset not found in webpack-assets.json
+// (lists the closest asset paths, if any)
+export function asset_not_found_message(assets, asset_path)
+{
+	let messages = asset_not_found_messages.get(assets)
+
+	if (!messages)
+	{
+		messages = {}
+		asset_not_found_messages.set(assets, messages)
+	}
+
+	if (!messages.hasOwnProperty(asset_path))
+	{
+		const closest = closest_asset_paths(assets, asset_path, 3)
+
+		messages[asset_path] = closest.length === 0
+			? `asset not found: ${asset_path}`
+			: `asset not found: ${asset_path}. The closest ones in webpack-assets.json are: ${closest.map(path => `"${path}"`).join(', ')}`
+	}
+
+	return messages[asset_path]
+}
+
+// at most this many webpack-assets.json asset paths
+// are compared with a missing asset path
+const max_closest_asset_candidates = 1000
+
+// finds up to `count` webpack-assets.json asset paths closest to a (misspelled) one.
+// the ones in the same folder or having the same extension are compared first.
+export function closest_asset_paths(assets, asset_path, count)
+{
+	const folder = path.posix.dirname(asset_path)
+	const extension = path.posix.extname(asset_path)
+
+	const related = []
+	const other = []
+
+	for (let candidate of Object.keys(assets))
+	{
+		if (path.posix.dirname(candidate) === folder || path.posix.extname(candidate) === extension)
+		{
+			related.push(candidate)
+		}
+		else
+		{
+			other.push(candidate)
+		}
+	}
+
+	return closest_matches(asset_path, related.concat(other).slice(0, max_closest_asset_candidates), count)
+}
+
+// handles an asset not found in webpack-assets.json
+// according to the `on_missing` policy of its asset type (or the global one).
+// returns the value for the asset module.
+//
+// `options` are `on_missing`, `strict`, `development` and `assets` options.
+//
+export function missing_asset(asset_path, assets, description, options, log)
+{
+	const asset_type = description ? Object.keys(options.assets).filter(asset_type => options.assets[asset_type] === description)[0] : undefined
+
+	let on_missing = (description && description.on_missing) || options.on_missing || missing_asset_policies.warn
+
+	// strict mode: no missing assets in production
+	if (options.strict && !options.development)
+	{
+		on_missing = missing_asset_policies.throw
 	}
 
-	// if no assets specified (for whatever reason), make it an empty array
-	if (!options.assets)
+	if (typeof on_missing === 'function')
+	{
+		return on_missing(asset_path, asset_type)
+	}
+
+	const message = asset_not_found_message(assets, asset_path)
+
+	if (on_missing === missing_asset_policies.throw)
 	{
-		// options.assets = {}
-		throw new Error('You must specify "assets" parameter in webpack-isomorphic-tools configuration')
+		throw new asset_not_found_error(message, { asset_path, asset_type })
 	}
 
-	// webpack-assets.json path, relative to the project base path
-	options.webpack_assets_file_path = options.webpack_assets_file_path || 'webpack-assets.json'
+	log.error(message)
 
-	// webpack-stats.json path, relative to the project base path
-	options.webpack_stats_file_path = options.webpack_stats_file_path || 'webpack-stats.json'
+	return description ? description.placeholder : undefined
+}
+
+// an index of webpack-assets.json asset paths by their canonical paths
+// (is built once for each webpack-assets.json object)
+const assets_indices = new WeakMap()
+
+function assets_index(assets)
+{
+	let index = assets_indices.get(assets)
 
-	// if Webpack aliases are supplied, validate them
-	if (options.alias)
+	if (!index)
 	{
-		for (let key of Object.keys(options.alias))
+		index = { paths: index_assets(assets), real_paths: {} }
+		assets_indices.set(assets, index)
+	}
+
+	return index
+}
+
+// maps canonical asset paths to webpack-assets.json asset paths
+export function index_assets(assets)
+{
+	const index = {}
+
+	for (let asset_path of Object.keys(assets))
+	{
+		index[canonical_asset_path(asset_path)] = asset_path
+	}
+
+	return index
+}
+
+// maps real paths of symlinked asset files (e.g. `npm link`ed packages)
+// to webpack-assets.json asset paths
+// since that's what Node.js resolves them to.
+// (is built on the first miss for each webpack-assets.json object)
+function real_paths_index(index, assets, project_path)
+{
+	if (!index.real_paths[project_path])
+	{
+		const real_paths = {}
+
+		for (let asset_path of Object.keys(assets))
 		{
-			if (typeof options.alias[key] !== 'string')
+			const real_path = real_asset_path(canonical_asset_path(asset_path), project_path)
+
+			if (real_path && !exists(index.paths[real_path]) && !exists(real_paths[real_path]))
 			{
-				throw new Error(`Invalid alias for "${key}": "${options.alias[key]}"`)
+				real_paths[real_path] = asset_path
 			}
 		}
+
+		index.real_paths[project_path] = real_paths
+	}
+
+	return index.real_paths[project_path]
+}
+
+// Webpack 1 replaces `node_modules` with `~` in module names
+// (and it's not known when exactly it does that)
+// so both are converted to `node_modules`.
+export function canonical_asset_path(asset_path)
+{
+	return asset_path.replace(/(^|\/)~\//g, '$1node_modules/')
+}
+
+// returns the canonical asset path with the real path of the file
+// (if it's a symlink or is inside a symlinked folder)
+function real_asset_path(canonical_path, project_path)
+{
+	// (the path can be prefixed with loaders and can have a query)
+	const loaders_end = canonical_path.lastIndexOf('!') + 1
+	const file_path = canonical_path.slice(loaders_end).split('?')[0]
+
+	let real_path
+
+	try
+	{
+		real_path = fs.realpathSync(path.resolve(project_path, file_path))
 	}
+	catch (error)
+	{
+		return
+	}
+
+	real_path = uniform_path(path.relative(project_path, real_path))
 
-	// generate names (if required) for each user defined asset type, normalize extensions
-	for (let asset_type of Object.keys(options.assets))
+	if (real_path !== file_path)
 	{
-		const description = options.assets[asset_type]
+		return canonical_path.slice(0, loaders_end) + real_path + canonical_path.slice(loaders_end + file_path.length)
+	}
+}
 
-		// normalize extensions
-		if (description.extension)
+// checks if the path matches any of the
+// `include` or `exclude` cases of an asset type
+export function matches_any(path, cases)
+{
+	for (let matcher of cases)
+	{
+		// supports regular expressions
+		if (matcher instanceof RegExp)
 		{
-			// sanity check
-			if (Array.isArray(description.extension))
+			if (matcher.test(path))
 			{
-				throw new Error(`Use "extensions" key instead of "extension" for specifying an array of file extensions for assets of type "${asset_type}"`)
+				return true
 			}
-
-			// sanity check
-			if (typeof description.extension !== 'string')
+		}
+		// check for a compex logic match
+		else if (typeof matcher === 'function')
+		{
+			if (matcher(path))
 			{
-				throw new Error(`"extension" value must be a string for assets of type "${asset_type}"`)
+				return true
 			}
-
-			// normalize
-			description.extensions = [description.extension]
-			delete description.extension
 		}
-
-		// sanity check
-		if (!description.extensions)
+		// otherwise check for a simple textual match
+		else
 		{
-			throw new Error(`You must specify file extensions for assets of type "${asset_type}"`)
+			if (matcher === path)
+			{
+				return true
+			}
 		}
+	}
+
+	// no matches found
+	return false
+}
 
-		// parameters check
-		for (let key of Object.keys(description))
+// webpack-assets.json sections which change on every Webpack build
+// (they're written to a separate file when `split_chunks_info` option is set
+//  so that webpack-assets.json itself only changes when the assets do)
+const chunks_info_sections = ['hash', 'javascript', 'styles', 'chunks', 'entrypoints', 'integrity']
+
+// splits webpack-assets.json into the assets part and the chunks info part
+export function split_chunks_info(webpack_assets)
+{
+	const assets = {}
+	const chunks_info = {}
+
+	for (let key of Object.keys(webpack_assets))
+	{
+		// Webpack `MultiCompiler` ("merged" webpack-assets.json)
+		if (key === 'compilers')
 		{
-			switch (key)
+			assets.compilers = {}
+			chunks_info.compilers = {}
+
+			for (let compiler_name of Object.keys(webpack_assets.compilers))
 			{
-				case 'extensions':
-					break
-
-				case 'exclude':
-				case 'include':
-					if (!Array.isArray(description[key]))
-					{
-						throw new Error(`"${key}" must be an array for asset type "${asset_type}"`)
-					}
-					for (let clusion of description[key])
-					{
-						if (typeof clusion !== 'string'
-							&& !(clusion instanceof RegExp)
-							&& typeof clusion !== 'function')
-						{
-							throw new Error(`Unsupported object type for exclusion/inclusion "${clusion}" for asset type "${asset_type}"`)
-						}
-					}
-					break
-
-				case 'filter':
-				case 'parser':
-				case 'path':
-					if (typeof description[key] !== 'function')
-					{
-						throw new Error(`"${key}" must be a function for asset type "${asset_type}"`)
-					}
-					break
-
-				case 'regular_expression':
-					if (!(description[key] instanceof RegExp))
-					{
-						throw new Error(`"${key}" must be a regular expression for asset type "${asset_type}"`)
-					}
-					break
-
-				default:
-					throw new Error(`Unknown property "${key}" for asset type "${asset_type}"`)
+				const compiler_assets = webpack_assets.compilers[compiler_name]
+
+				// "per compiler" webpack-assets.json path
+				if (typeof compiler_assets === 'string')
+				{
+					assets.compilers[compiler_name] = compiler_assets
+					continue
+				}
+
+				const parts = split_chunks_info(compiler_assets)
+
+				assets.compilers[compiler_name] = parts.assets
+				chunks_info.compilers[compiler_name] = parts.chunks_info
 			}
 		}
+		else if (chunks_info_sections.indexOf(key) >= 0)
+		{
+			chunks_info[key] = webpack_assets[key]
+		}
+		else
+		{
+			assets[key] = webpack_assets[key]
+		}
 	}
+
+	return { assets, chunks_info }
 }
 
-// alias the path if an alias is found,
-// and resolve it to a global filesystem path
-export function alias_hook(path, module, project_path, aliases, log)
+// merges the chunks info part back into webpack-assets.json
+export function merge_chunks_info(assets, chunks_info)
 {
-	// possibly alias the path
-	const aliased_path = alias(path, aliases)
+	const webpack_assets = {}
 
-	// return if an alias not found
-	if (!aliased_path)
+	for (let key of Object.keys(chunks_info))
 	{
-		return
+		if (key !== 'compilers')
+		{
+			webpack_assets[key] = chunks_info[key]
+		}
 	}
 
-	// if an alias is found, require() the correct path
-	log.debug(`require("${path}") was called and an alias was found, so aliasing to module path "${aliased_path}"`)
+	for (let key of Object.keys(assets))
+	{
+		// the path to the chunks info file
+		if (key === 'chunks_info')
+		{
+			continue
+		}
 
-	// resolve the path to a real filesystem path (resolves `npm link`, etc)
-	const global_path = require_hacker.resolve(aliased_path, module)
-	log.debug(` resolved the path for the aliased module to ${global_path}`)
+		if (key === 'compilers')
+		{
+			webpack_assets.compilers = {}
 
-	return global_path
+			for (let compiler_name of Object.keys(assets.compilers))
+			{
+				const compiler_assets = assets.compilers[compiler_name]
+				const compiler_chunks_info = chunks_info.compilers && chunks_info.compilers[compiler_name]
 
-	// const result = require(global_path)
-	// // log.debug(` the path was found`)
+				webpack_assets.compilers[compiler_name] = compiler_chunks_info ? merge_chunks_info(compiler_assets, compiler_chunks_info) : compiler_assets
+			}
 
-	// return require_hacker.to_javascript_module_source(result)
+			continue
+		}
+
+		webpack_assets[key] = assets[key]
+	}
+
+	return webpack_assets
 }
 
-// alias the path provided the aliases map
-function alias(path, aliases)
+// reads a webpack-assets.json file using `read(file_path)`
+// (merging in its chunks info if it's in a separate file)
+//
+// `merge(assets, chunks_info, webpack_assets_path)` can be passed
+// instead of `merge_chunks_info()` (e.g. to cache the merged object)
+//
+export function read_webpack_assets(webpack_assets_path, read, merge = merge_chunks_info)
 {
-	// if it's a path to a file - don't interfere
-	if (starts_with(path, '.') || starts_with(path, '/'))
+	const webpack_assets = read(webpack_assets_path)
+
+	// `split_chunks_info` option
+	if (!webpack_assets.chunks_info)
 	{
-		return
+		return webpack_assets
 	}
 
-	// extract module name from the path
-	const slash_index = path.indexOf('/')
-	const module_name = slash_index >= 0 ? path.substring(0, slash_index) : path
-	const rest = slash_index >= 0 ? path.substring(slash_index) : ''
+	// (the path is relative to webpack-assets.json)
+	const chunks_info = read(path.resolve(path.dirname(webpack_assets_path), webpack_assets.chunks_info))
 
-	// find an alias
-	const alias = aliases[module_name]
+	return merge(webpack_assets, chunks_info, webpack_assets_path)
+}
 
-	// if an alias is found, require() the correct path
-	if (alias)
+// picks a Webpack `MultiCompiler` child compiler's assets from webpack-assets.json
+// (the first compiler by default).
+// A "per compiler" webpack-assets.json file is read using `read(file_path)`.
+export function pick_compiler_assets(webpack_assets, webpack_assets_path, compiler_name, read)
+{
+	// a single compiler
+	if (!webpack_assets.compilers)
+	{
+		return webpack_assets
+	}
+
+	const compiler_names = Object.keys(webpack_assets.compilers)
+
+	// the first compiler by default
+	if (!exists(compiler_name))
+	{
+		compiler_name = compiler_names[0]
+	}
+
+	const assets = webpack_assets.compilers[compiler_name]
+
+	if (!exists(assets))
 	{
-		return alias + rest
+		throw new configuration_error(`Compiler "${compiler_name}" not found in webpack assets. Available compilers: ${compiler_names.join(', ')}`, { compiler_name })
 	}
+
+	// "merged" webpack-assets.json
+	if (typeof assets !== 'string')
+	{
+		return assets
+	}
+
+	// "per compiler" webpack-assets.json
+	// (the path is relative to the webpack-assets.json index file)
+	return read(path.resolve(path.dirname(webpack_assets_path), assets))
 }
 
 // converts global asset path to local-to-the-project asset path
@@ -298,6 +587,33 @@ export function normalize_asset_path(global_asset_path, project_path)
 	return asset_path
 }
 
+// the chunks info file path for a webpack-assets.json file (`split_chunks_info` option)
+// (e.g. "webpack-assets.json" -> "webpack-assets.chunks-info.json",
+//  not "webpack-assets.chunks.json" which a `MultiCompiler`
+//  child compiler named "chunks" would have written)
+export function chunks_info_file_path(webpack_assets_path)
+{
+	return compiler_file_path(webpack_assets_path, 'chunks-info')
+}
+
+// file extensions which are never resolved as javascript
+// (Node.js handles them itself, or they aren't CommonJS modules)
+const not_javascript_extensions = ['.mjs', '.cjs', '.json', '.node', '.wasm']
+
+// filters out Webpack `resolve.extensions` which can't be loaded as CommonJS javascript
+export function javascript_extensions(extensions)
+{
+	return extensions.filter(extension => not_javascript_extensions.indexOf(extension) < 0)
+}
+
+// inserts a `MultiCompiler` child compiler name into a file path
+// (e.g. "webpack-assets.json" -> "webpack-assets.client.json")
+export function compiler_file_path(file_path, compiler_name)
+{
+	const extension = path.extname(file_path)
+	return file_path.slice(0, file_path.length - extension.length) + '.' + compiler_name + extension
+}
+
 // for Windows:
 //
 // converts Node.js path to a correct Webpack path
@@ -314,9 +630,3 @@ export function uniform_path(asset_path)
 
 	return asset_path
 }
-
-export const verbosity_levels =
-{
-	no_webpack_stats             : 'no webpack stats',
-	webpack_stats_for_each_build : 'webpack stats for each build'
-}
\ No newline at end of file
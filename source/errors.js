@@ -0,0 +1,91 @@
+// Error classes having stable `code`s
+// (so that error handling and monitoring
+//  could tell one error from another
+//  without parsing error messages).
+//
+// They're also available as static properties
+// of both the server-side class and the plugin
+// (e.g. `webpack_isomorphic_tools.asset_not_found_error`).
+//
+// (Babel 6 can't extend built-in classes like `Error`,
+//  hence the prototype-based implementation)
+
+// the base class for all webpack-isomorphic-tools errors
+export function webpack_isomorphic_tools_error(message, properties)
+{
+	initialize(this, 'webpack_isomorphic_tools_error', webpack_isomorphic_tools_error.code, message, properties)
+}
+
+webpack_isomorphic_tools_error.code = 'WEBPACK_ISOMORPHIC_TOOLS_ERROR'
+
+webpack_isomorphic_tools_error.prototype = Object.create(Error.prototype,
+{
+	constructor: { value: webpack_isomorphic_tools_error, writable: true, configurable: true }
+})
+
+// invalid configuration
+// (`problems` is a list of `{ path, message }`)
+export const configuration_error = error_class('configuration_error', 'CONFIGURATION_ERROR')
+
+// a `require()`d asset isn't found in webpack-assets.json
+// (has `asset_path` and `asset_type`)
+export const asset_not_found_error = error_class('asset_not_found_error', 'ASSET_NOT_FOUND')
+
+// webpack-assets.json (or an options file) hasn't been written yet
+// or couldn't be fetched from the plugin over HTTP
+// (has `path` or `status`)
+export const manifest_unavailable_error = error_class('manifest_unavailable_error', 'MANIFEST_UNAVAILABLE')
+
+// webpack-assets.json didn't pass the startup verification
+// (`problems` is a list of `{ path, message }`)
+export const invalid_manifest_error = error_class('invalid_manifest_error', 'INVALID_MANIFEST')
+
+// several Webpack modules match a path `require()`d from an asset
+// (has `required_path`)
+export const ambiguous_module_error = error_class('ambiguous_module_error', 'AMBIGUOUS_MODULE')
+
+// an asset's module source failed to evaluate when writing webpack-assets.json
+// (has `asset_path` and `cause`)
+export const asset_compilation_error = error_class('asset_compilation_error', 'ASSET_COMPILATION_FAILED')
+
+// creates an error class with the `code`
+function error_class(name, code)
+{
+	function custom_error(message, properties)
+	{
+		initialize(this, name, code, message, properties)
+	}
+
+	custom_error.prototype = Object.create(webpack_isomorphic_tools_error.prototype,
+	{
+		constructor: { value: custom_error, writable: true, configurable: true }
+	})
+
+	// (for comparing `error.code`s)
+	custom_error.code = code
+
+	return custom_error
+}
+
+function initialize(error, name, code, message, properties)
+{
+	error.name    = name
+	error.code    = code
+	error.message = message
+
+	if (properties)
+	{
+		for (let key of Object.keys(properties))
+		{
+			error[key] = properties[key]
+		}
+	}
+
+	Error.captureStackTrace(error, error.constructor)
+
+	// (so that the original stack trace isn't lost)
+	if (properties && properties.cause && properties.cause.stack)
+	{
+		error.stack += `\nCaused by: ${properties.cause.stack}`
+	}
+}
@@ -0,0 +1,272 @@
+import fs   from 'fs'
+
+import { fileURLToPath } from 'url'
+
+import Log               from './tools/log'
+import http_request      from './tools/asynchronous http'
+import serialize         from './tools/serialize-javascript'
+
+import { exists, ends_with } from './helpers'
+import { default_webpack_assets, alias, normalize_asset_path, find_asset, missing_asset, parse_loader_path, matches_any, pick_compiler_assets } from './common'
+
+// Node.js ES modules loader hooks
+// https://nodejs.org/api/module.html#customization-hooks
+//
+// These hooks serve `import`s of assets from webpack-assets.json
+// the same way `require()` hooks do for CommonJS modules.
+//
+// The hooks run in a separate thread so they can't access
+// the `webpack_isomorphic_tools` instance: the settings are passed
+// by `.register_esm_loader()` instead, and webpack-assets.json
+// is read (or fetched over HTTP) by the hooks themselves.
+
+// the URL query parameter holding the loaders part of a loader-powered path
+const loaders_parameter = 'webpack-loaders'
+
+// loader settings (see `.register_esm_loader()`)
+let settings
+
+let log
+
+// webpack-assets.json files read so far (along with their modification times)
+let cached_json_files
+
+// the `webpack_isomorphic_tools` instance's in-memory copy of webpack assets
+// (when served over HTTP, see `.register_esm_loader()`)
+let posted_webpack_assets
+
+// is called by Node.js with the `data` passed to `module.register()`
+export function initialize(data)
+{
+	settings = data
+	log = new Log('webpack-isomorphic-tools', { debug: settings.debug })
+
+	cached_json_files = {}
+	posted_webpack_assets = undefined
+
+	if (settings.assets_channel)
+	{
+		settings.assets_channel.on('message', webpack_assets => posted_webpack_assets = webpack_assets)
+		// don't keep the loader thread running just for this channel
+		settings.assets_channel.unref()
+	}
+}
+
+export function resolve(specifier, context, next_resolve)
+{
+	// loader-powered paths (e.g. "style!css!./style.css")
+	const loader_path = parse_loader_path(specifier)
+
+	if (loader_path)
+	{
+		return Promise.resolve(next_resolve(loader_path.asset_path, context)).then((resolved) =>
+		{
+			const url = new URL(resolved.url)
+			url.searchParams.set(loaders_parameter, loader_path.loaders)
+
+			return { url: url.href, shortCircuit: true }
+		})
+	}
+
+	// Webpack aliases
+	if (settings.alias)
+	{
+		const aliased_path = alias(specifier, settings.alias)
+
+		if (aliased_path)
+		{
+			log.debug(`import "${specifier}" was called and an alias was found, so aliasing to module path "${aliased_path}"`)
+			return next_resolve(aliased_path, context)
+		}
+	}
+
+	return next_resolve(specifier, context)
+}
+
+export function load(url, context, next_load)
+{
+	// only files can be assets
+	if (url.indexOf('file:') !== 0)
+	{
+		return next_load(url, context)
+	}
+
+	const global_asset_path = fileURLToPath(url)
+	const loaders = new URL(url).searchParams.get(loaders_parameter)
+
+	// loader-powered paths
+	if (loaders)
+	{
+		return asset_module(loaders + '!' + normalize_asset_path(global_asset_path, settings.project_path))
+	}
+
+	// special case for webpack-assets.json and 'json' asset extension
+	if (global_asset_path === settings.webpack_assets_path)
+	{
+		return next_load(url, context)
+	}
+
+	const description = asset_type(global_asset_path)
+
+	if (!description)
+	{
+		return next_load(url, context)
+	}
+
+	// convert global asset path to local-to-the-project asset path
+	const asset_path = normalize_asset_path(global_asset_path, settings.project_path)
+
+	// if this filename is in the user specified exceptions list
+	// (or is not in the user explicitly specified inclusion list)
+	// then fall back to the normal `import` behaviour
+	if ((exists(description.include) && !matches_any(asset_path, description.include))
+		|| (exists(description.exclude) && matches_any(asset_path, description.exclude)))
+	{
+		log.debug(` skipping import for ${asset_path}`)
+		return next_load(url, context)
+	}
+
+	return asset_module(asset_path, description)
+}
+
+// returns an ES module exporting the asset
+// (looks it up in webpack-assets.json)
+function asset_module(asset_path, description)
+{
+	log.debug(`import called for ${asset_path}`)
+
+	return webpack_assets().then((webpack_assets) =>
+	{
+		let asset = find_asset(webpack_assets.assets, asset_path, settings.project_path, log)
+
+		// if the asset was not found in the list,
+		// then throw an error, or output an error and use a placeholder
+		// (depending on `on_missing` policy)
+		if (asset === undefined)
+		{
+			asset = missing_asset(asset_path, webpack_assets.assets, description, settings, log)
+		}
+
+		return {
+			format       : 'module',
+			source       : es_module_source(asset),
+			shortCircuit : true
+		}
+	})
+}
+
+// finds the asset type for a file path (by file extension)
+function asset_type(file_path)
+{
+	for (let asset_type of Object.keys(settings.assets))
+	{
+		const description = settings.assets[asset_type]
+
+		for (let extension of description.extensions)
+		{
+			if (ends_with(file_path, `.${extension}`))
+			{
+				return description
+			}
+		}
+	}
+}
+
+// returns the contents of webpack-assets.json
+// (the first compiler's assets for a Webpack `MultiCompiler`)
+function webpack_assets()
+{
+	// go over a network
+	if (settings.development && settings.port)
+	{
+		if (posted_webpack_assets)
+		{
+			return Promise.resolve(compiler_assets(posted_webpack_assets))
+		}
+
+		return http_request(settings.port).then(compiler_assets, (error) =>
+		{
+			log.error(`Couldn't contact webpack-isomorphic-tools plugin over HTTP. Using an empty stub for webpack assets map.`)
+			log.error(error)
+			return default_webpack_assets()
+		})
+	}
+
+	return new Promise((resolve) =>
+	{
+		if (!fs.existsSync(settings.webpack_assets_path))
+		{
+			log.error(`"${settings.webpack_assets_path}" not found. Most likely it hasn't yet been generated by Webpack. Using an empty stub instead.`)
+			return resolve(default_webpack_assets())
+		}
+
+		resolve(compiler_assets(read_json(settings.webpack_assets_path)))
+	})
+}
+
+// picks the first compiler's assets from webpack-assets.json
+// generated by a Webpack `MultiCompiler`
+// (only `assets` are used here, so chunks info files aren't read)
+function compiler_assets(webpack_assets)
+{
+	return pick_compiler_assets(webpack_assets, settings.webpack_assets_path, undefined, read_json)
+}
+
+// reads a JSON file.
+// in development mode the file is re-read when it changes.
+function read_json(file_path)
+{
+	const cached = cached_json_files[file_path]
+
+	if (cached && !settings.development)
+	{
+		return cached.data
+	}
+
+	const modified = fs.statSync(file_path).mtime.getTime()
+
+	if (cached && cached.modified === modified)
+	{
+		return cached.data
+	}
+
+	const data = JSON.parse(fs.readFileSync(file_path, 'utf8'))
+
+	cached_json_files[file_path] = { modified, data }
+
+	return data
+}
+
+// generates ES module source code for an asset
+function es_module_source(asset)
+{
+	// if the asset source wasn't found - return an empty module
+	if (!exists(asset))
+	{
+		return 'export default undefined'
+	}
+
+	// if it's a CommonJS module source
+	// (e.g. the output of `css-loader`)
+	// then wrap it into an ES module
+	if (typeof asset === 'string' && is_a_module_declaration(asset))
+	{
+		return [
+			`import { createRequire } from 'module'`,
+			`const require = createRequire(import.meta.url)`,
+			`const module = { exports: {} }`,
+			`const exports = module.exports`,
+			asset,
+			`export default module.exports`
+		]
+		.join('\n')
+	}
+
+	return 'export default ' + serialize(asset)
+}
+
+// the same check `require-hacker` performs
+function is_a_module_declaration(text)
+{
+	return text.indexOf('module.exports = ') === 0 || /\s+module\.exports = .+/.test(text)
+}
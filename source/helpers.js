@@ -215,6 +215,58 @@ export function last(array)
 	return array[array.length - 1]
 }
 
+// the number of single character edits (insertions, deletions, substitutions)
+// required to change one string into the other (Levenshtein distance)
+export function edit_distance(a, b)
+{
+	let previous_row = []
+
+	for (let j = 0; j <= b.length; j++)
+	{
+		previous_row.push(j)
+	}
+
+	for (let i = 1; i <= a.length; i++)
+	{
+		const row = [i]
+
+		for (let j = 1; j <= b.length; j++)
+		{
+			const substitution_cost = a[i - 1] === b[j - 1] ? 0 : 1
+			row.push(Math.min(row[j - 1] + 1, previous_row[j] + 1, previous_row[j - 1] + substitution_cost))
+		}
+
+		previous_row = row
+	}
+
+	return previous_row[b.length]
+}
+
+// finds the closest match for a (misspelled) word
+// (returns nothing if there's no close enough match)
+export function closest_match(word, candidates)
+{
+	return closest_matches(word, candidates, 1)[0]
+}
+
+// finds up to `count` closest matches for a (misspelled) word
+// (the closest ones first, only close enough ones)
+export function closest_matches(word, candidates, count)
+{
+	// too many typos means it's not a typo
+	const max_distance = Math.max(1, Math.floor(word.length / 3))
+
+	return candidates
+		// (the edit distance is at least the length difference)
+		.filter(candidate => Math.abs(candidate.length - word.length) <= max_distance)
+		.map(candidate => ({ candidate, distance: edit_distance(word, candidate) }))
+		.filter(match => match.distance <= max_distance)
+		// (the sort is stable so the earlier candidates win ties)
+		.sort((a, b) => a.distance - b.distance)
+		.slice(0, count)
+		.map(match => match.candidate)
+}
+
 /**
  * Returns a camel case variant of the string, unless it's in TitleCase.
  * @param {string} string
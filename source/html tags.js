@@ -0,0 +1,61 @@
+import { exists } from './helpers'
+
+// renders a `<script/>` tag for a javascript file URL
+export function script_tag(url, attributes)
+{
+	return `<script${html_attributes(extend_attributes({ src: url }, attributes))}></script>`
+}
+
+// renders a `<link/>` tag for a stylesheet file URL
+export function style_tag(url, attributes)
+{
+	return `<link${html_attributes(extend_attributes({ rel: 'stylesheet', href: url }, attributes))}/>`
+}
+
+// adds user specified attributes after the required ones
+function extend_attributes(attributes, extra_attributes = {})
+{
+	for (let key of Object.keys(extra_attributes))
+	{
+		attributes[key] = extra_attributes[key]
+	}
+
+	return attributes
+}
+
+// renders HTML attributes.
+// `true` renders a boolean attribute (e.g. `async`),
+// `false` (or nothing) omits the attribute.
+function html_attributes(attributes)
+{
+	let html = ''
+
+	for (let key of Object.keys(attributes))
+	{
+		const value = attributes[key]
+
+		if (!exists(value) || value === null || value === false)
+		{
+			continue
+		}
+
+		if (value === true)
+		{
+			html += ` ${key}`
+			continue
+		}
+
+		html += ` ${key}="${escape_html_attribute(String(value))}"`
+	}
+
+	return html
+}
+
+function escape_html_attribute(value)
+{
+	return value
+		.replace(/&/g, '&amp;')
+		.replace(/"/g, '&quot;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+}
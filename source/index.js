@@ -1,18 +1,35 @@
 import path   from 'path'
 import fs     from 'fs'
 
+import { pathToFileURL }     from 'url'
+import { AsyncLocalStorage } from 'async_hooks'
+import Module                from 'module'
+
+import { EventEmitter } from 'events'
+
 import require_hacker from 'require-hacker'
 import UglifyJS       from 'uglify-js'
 
-import Log     from './tools/log'
-import request from './tools/synchronous http'
+import Log          from './tools/log'
+import request      from './tools/synchronous http'
+import http_request from './tools/asynchronous http'
+import watch_files  from './tools/watch files'
+import manifest_problems from './verify manifest'
+import insert_preamble from './tools/insert preamble'
+import rewrite_dynamic_imports from './tools/dynamic import'
+
+import { subscribe } from './tools/event stream'
+
+import { script_tag, style_tag } from './html tags'
 
 import { exists, clone, convert_from_camel_case, starts_with, ends_with, alias_properties_with_camel_case } from './helpers'
-import { default_webpack_assets, normalize_options, alias_hook, normalize_asset_path, uniform_path } from './common'
+import { default_webpack_assets, alias_hook, normalize_asset_path, uniform_path, find_asset, missing_asset, parse_loader_path, matches_any, merge_chunks_info, read_webpack_assets, pick_compiler_assets, javascript_extensions } from './common'
+import { normalize_options, options_reference, default_require_helpers } from './options'
+import * as errors from './errors'
 
 // using ES6 template strings
 // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/template_strings
-export default class webpack_isomorphic_tools
+export default class webpack_isomorphic_tools extends EventEmitter
 {
 	// require() hooks for assets
 	hooks = []
@@ -20,8 +37,30 @@ export default class webpack_isomorphic_tools
 	// used to keep track of cached assets and flush their caches on .refresh() call
 	cached_assets = []
 
+	// webpack-assets.json, "per compiler" webpack-assets.json files (for Webpack `MultiCompiler`)
+	// and chunks info files (for `split_chunks_info` option) contents by file path
+	// (which are re-read after .refresh() call)
+	webpack_assets_files = {}
+
+	// webpack-assets.json merged with its chunks info (by file path)
+	// (for `split_chunks_info` option)
+	merged_webpack_assets = {}
+
+	// asset paths (in webpack-assets.json) by their require() cache paths
+	// (used by `.collect()`)
+	required_asset_paths = {}
+
 	constructor(options)
 	{
+		super()
+
+		// the options file written by the plugin
+		// (see `options_file_path` option)
+		if (typeof options === 'string')
+		{
+			options = read_options_file(options)
+		}
+
 		// take the passed in options
 		this.options = convert_from_camel_case(clone(options))
 
@@ -43,6 +82,12 @@ export default class webpack_isomorphic_tools
 		this.log.debug(`instantiated webpack-isomorphic-tools v${require('../package.json').version} with options`, this.options)
 	}
 
+	// returns a printable reference of all the configuration options
+	static options_reference()
+	{
+		return options_reference()
+	}
+
 	// (deprecated)
 	// sets development mode flag to whatever was passed (or true if nothing was passed)
 	// (development mode allows asset hot reloading when used with webpack-dev-server)
@@ -62,7 +107,94 @@ export default class webpack_isomorphic_tools
 
 	// returns a mapping to read file paths for all the user specified asset types
 	// along with a couple of predefined ones: javascripts and styles
-	assets()
+	//
+	// when Webpack `MultiCompiler` is used, then `compiler_name` tells
+	// which compiler's assets to return (the first one by default)
+	//
+	assets(compiler_name)
+	{
+		return this.compiler_assets(this.webpack_assets(), compiler_name)
+	}
+
+	// returns javascript and style file URLs of an entrypoint
+	// in the order they should be included on a page
+	// (e.g. runtime, then vendor, then the entrypoint itself)
+	entrypoint_assets(name, compiler_name)
+	{
+		const entrypoints = this.assets(compiler_name).entrypoints || {}
+
+		if (!exists(entrypoints[name]))
+		{
+			throw new errors.asset_not_found_error(`Entrypoint "${name}" not found in webpack assets. Available entrypoints: ${Object.keys(entrypoints).join(', ')}`, { entrypoint: name })
+		}
+
+		return entrypoints[name]
+	}
+
+	// renders `<script/>` tags for chunks or entrypoints (by name).
+	//
+	// `attributes` are added to each tag
+	// (e.g. `{ async: true, crossorigin: 'anonymous', nonce: '...' }`).
+	// `integrity` attributes are added automatically
+	// (unless `integrity: false` is passed).
+	//
+	script_tags(names, attributes, compiler_name)
+	{
+		return this.html_tags(names, 'javascript', script_tag, attributes, compiler_name)
+	}
+
+	// renders `<link rel="stylesheet"/>` tags for chunks or entrypoints (by name)
+	// (see `.script_tags()`)
+	style_tags(names, attributes, compiler_name)
+	{
+		return this.html_tags(names, 'styles', style_tag, attributes, compiler_name)
+	}
+
+	html_tags(names, type, tag, attributes = {}, compiler_name)
+	{
+		const assets = this.assets(compiler_name)
+
+		if (!Array.isArray(names))
+		{
+			names = [names]
+		}
+
+		const urls = []
+
+		for (let name of names)
+		{
+			for (let url of chunk_or_entrypoint_files(assets, name, type))
+			{
+				// (e.g. two entrypoints sharing a "vendor" chunk)
+				if (urls.indexOf(url) < 0)
+				{
+					urls.push(url)
+				}
+			}
+		}
+
+		return urls.map((url) =>
+		{
+			const integrity = attributes.integrity !== false && assets.integrity && assets.integrity[url]
+
+			// the `integrity` attribute goes right after the URL
+			const tag_attributes = { integrity }
+
+			for (let key of Object.keys(attributes))
+			{
+				if (key !== 'integrity')
+				{
+					tag_attributes[key] = attributes[key]
+				}
+			}
+
+			return tag(url, tag_attributes)
+		})
+		.join('\n')
+	}
+
+	// returns the contents of webpack-assets.json
+	webpack_assets()
 	{
 		// when in development mode
 		if (this.options.development)
@@ -75,9 +207,19 @@ export default class webpack_isomorphic_tools
 			// either go over a network
 			if (this.options.port)
 			{
+				// the in-memory copy of webpack assets is reused
+				// (it's updated on Webpack build events, see `.subscribe_to_builds()`,
+				//  including the current build event sent on every (re)connect)
+				if (this.assets_cache && this.build_events)
+				{
+					return this.assets_cache
+				}
+
 				try
 				{
-					return request(this.options.port)
+					// (it's a conditional request, so webpack assets
+					//  are only downloaded if they have changed)
+					return this.update_assets_cache(request(this.options.port))
 				}
 				catch (error)
 				{
@@ -100,27 +242,83 @@ export default class webpack_isomorphic_tools
 		// sanity check
 		if (!this.webpack_assets_path)
 		{
-			throw new Error(`You seem to have forgotten to call the .server() method`)
+			throw new errors.configuration_error(`You seem to have forgotten to call the .server() method`)
+		}
+
+		return this.require_webpack_assets_file(this.webpack_assets_path)
+	}
+
+	// picks a compiler's assets from webpack-assets.json
+	// generated by a Webpack `MultiCompiler`
+	compiler_assets(webpack_assets, compiler_name)
+	{
+		return pick_compiler_assets(webpack_assets, this.webpack_assets_path, compiler_name, file_path => this.require_webpack_assets_file(file_path))
+	}
+
+	// reads a webpack-assets.json file
+	// (merging in its chunks info if it's in a separate file)
+	require_webpack_assets_file(webpack_assets_path)
+	{
+		if (!fs.existsSync(webpack_assets_path))
+		{
+			throw new errors.manifest_unavailable_error(`"${webpack_assets_path}" not found. Most likely it hasn't yet been generated by Webpack.`, { path: webpack_assets_path })
+		}
+
+		// (not require()d so that `json` asset type require() hook doesn't intercept it)
+		const read = (file_path) =>
+		{
+			if (!this.webpack_assets_files[file_path])
+			{
+				this.webpack_assets_files[file_path] = JSON.parse(fs.readFileSync(file_path, 'utf8'))
+			}
+
+			return this.webpack_assets_files[file_path]
 		}
 
-		return require(this.webpack_assets_path)
+		return read_webpack_assets(webpack_assets_path, read, (webpack_assets, chunks_info) =>
+		{
+			// reuse the merged object until either of the files changes
+			const merged = this.merged_webpack_assets[webpack_assets_path]
+
+			if (merged && merged.assets === webpack_assets && merged.chunks_info === chunks_info)
+			{
+				return merged.webpack_assets
+			}
+
+			this.merged_webpack_assets[webpack_assets_path] =
+			{
+				assets         : webpack_assets,
+				chunks_info,
+				webpack_assets : merge_chunks_info(webpack_assets, chunks_info)
+			}
+
+			return this.merged_webpack_assets[webpack_assets_path].webpack_assets
+		})
 	}
 
 	// clear the require.cache (only used in developer mode with webpack-dev-server)
+	//
+	// (not needed when using `.server()` since it watches
+	//  webpack-assets.json for changes in development mode)
+	//
 	refresh()
 	{
 		// ensure this is development mode
 		if (!this.options.development)
 		{
-			throw new Error('.refresh() called in production mode. It shouldn\'t be called in production mode because that would degrade website performance by discarding caches.')
+			throw new errors.configuration_error('.refresh() called in production mode. It shouldn\'t be called in production mode because that would degrade website performance by discarding caches.')
 		}
 
+		this.flush_caches()
+	}
+
+	// flushes cached webpack-assets.json files and require() caches for all the assets
+	flush_caches()
+	{
 		this.log.debug('flushing require() caches')
 
-		// uncache webpack-assets.json file
-		// this.log.debug(' flushing require() cache for webpack assets json file')
-		// this.log.debug(` (was cached: ${typeof(require.cache[this.webpack_assets_path]) !== 'undefined'})`)
-		delete require.cache[this.webpack_assets_path]
+		// uncache webpack-assets.json files
+		this.webpack_assets_files = {}
 
 		// uncache cached assets
 		for (let path of this.cached_assets)
@@ -133,6 +331,161 @@ export default class webpack_isomorphic_tools
 		this.cached_assets = []
 	}
 
+	// Watches webpack-assets.json for changes (in development mode)
+	// and flushes require() caches when a new Webpack build lands.
+	//
+	// Emits "assets-updated" event with the new Webpack build hash.
+	//
+	watch_assets()
+	{
+		this.log.debug(`watching ${this.webpack_assets_path} for changes`)
+
+		this.assets_watcher = watch_files(path.dirname(this.webpack_assets_path), file_name => this.is_webpack_assets_file(file_name), () =>
+		{
+			// webpack-assets.json could have been deleted
+			if (!fs.existsSync(this.webpack_assets_path))
+			{
+				return
+			}
+
+			this.flush_caches()
+
+			let hash
+
+			try
+			{
+				hash = this.assets().hash
+			}
+			catch (error)
+			{
+				// webpack-assets.json could be still being written,
+				// in which case there will be another filesystem event
+				this.log.debug(`couldn't read ${this.webpack_assets_path}`, error)
+				return this.flush_caches()
+			}
+
+			this.log.debug(`webpack assets updated (build ${hash})`)
+
+			this.emit('assets-updated', hash)
+		})
+		// don't keep Node.js process running just for this watcher
+		.unref()
+	}
+
+	// Subscribes to Webpack build events pushed by
+	// webpack-isomorphic-tools plugin HTTP service (when `port` is set)
+	// and keeps an in-memory copy of webpack assets which is always up to date.
+	//
+	// Emits "assets-updated" event with the new Webpack build hash.
+	//
+	subscribe_to_builds()
+	{
+		// reconnect if the connection is lost
+		// (e.g. Webpack hasn't been started yet, or has been restarted)
+		const reconnect_interval = 300 // in milliseconds
+
+		const connect = () =>
+		{
+			this.build_events = subscribe(this.options.port, '/events', (event, data) =>
+			{
+				switch (event)
+				{
+					case 'build-started':
+						this.log.debug('Webpack build started')
+						break
+
+					case 'build-finished':
+						this.log.debug(`Webpack build finished (build ${data.hash})`)
+						this.fetch_assets(data.hash)
+						break
+
+					case 'build-failed':
+						this.log.error(`Webpack build failed: ${data.error}`)
+						break
+				}
+			},
+			(error) =>
+			{
+				this.log.debug(`disconnected from webpack-isomorphic-tools plugin HTTP service`, error)
+				this.reconnect_timer = setTimeout(connect, reconnect_interval)
+				// don't keep Node.js process running just for reconnecting
+				this.reconnect_timer.unref()
+			})
+		}
+
+		connect()
+	}
+
+	// stops listening to Webpack build events
+	unsubscribe_from_builds()
+	{
+		clearTimeout(this.reconnect_timer)
+
+		this.build_events.close()
+		this.build_events = undefined
+	}
+
+	// updates the in-memory copy of webpack assets
+	fetch_assets(hash)
+	{
+		// in case of several builds in a row
+		// only the latest webpack assets should be taken
+		const fetch_id = this.assets_fetch_id = (this.assets_fetch_id || 0) + 1
+
+		http_request(this.options.port).then((assets) =>
+		{
+			// if unsubscribed, or if there's been a newer build
+			if (!this.build_events || fetch_id !== this.assets_fetch_id)
+			{
+				return
+			}
+
+			this.update_assets_cache(assets)
+
+			this.emit('assets-updated', hash)
+		},
+		(error) =>
+		{
+			this.log.error(`Couldn't fetch webpack assets from webpack-isomorphic-tools plugin over HTTP`)
+			this.log.error(error)
+		})
+	}
+
+	// replaces the in-memory copy of webpack assets
+	// (flushing require() caches if they have changed)
+	update_assets_cache(assets)
+	{
+		if (assets !== this.assets_cache)
+		{
+			this.assets_cache = assets
+			this.flush_caches()
+
+			// (see `.register_esm_loader()`)
+			if (this.esm_loader_channel)
+			{
+				this.esm_loader_channel.postMessage(assets)
+			}
+		}
+
+		return assets
+	}
+
+	// tells if this file name is webpack-assets.json
+	// (or a "per compiler" webpack-assets.json for Webpack `MultiCompiler`)
+	is_webpack_assets_file(file_name)
+	{
+		const webpack_assets_file_name = path.basename(this.webpack_assets_path)
+		const extension = path.extname(webpack_assets_file_name)
+
+		if (file_name === webpack_assets_file_name)
+		{
+			return true
+		}
+
+		return starts_with(file_name, webpack_assets_file_name.slice(0, webpack_assets_file_name.length - extension.length) + '.')
+			&& ends_with(file_name, extension)
+	}
+
 	// Makes `webpack-isomorphic-tools` aware of Webpack aliasing feature.
 	// https://webpack.github.io/docs/resolving.html#aliasing
 	// The `aliases` parameter corresponds to `resolve.alias`
@@ -170,6 +523,14 @@ export default class webpack_isomorphic_tools
 		// resolve webpack-assets.json file path
 		this.webpack_assets_path = path.resolve(this.options.project_path, this.options.webpack_assets_file_path)
 
+		// if Webpack `resolve.extensions` are supplied, enable them
+		// (before registering require() hooks for assets
+		//  so that these files are loaded as plain javascript)
+		if (this.options.resolve && this.options.resolve.extensions)
+		{
+			this.inject_extensions(this.options.resolve.extensions)
+		}
+
 		// register require() hooks
 		this.register()
 
@@ -185,6 +546,21 @@ export default class webpack_isomorphic_tools
 			this.inject_modules_directories(this.options.modules_directories)
 		}
 
+		// watch webpack-assets.json for changes in development mode
+		if (this.options.development)
+		{
+			// either listen to Webpack builds over network
+			if (this.options.port)
+			{
+				this.subscribe_to_builds()
+			}
+			// or watch webpack-assets.json on disk
+			else
+			{
+				this.watch_assets()
+			}
+		}
+
 		// inject helpers like require.context() and require.ensure()
 		if (this.options.patch_require)
 		{
@@ -194,18 +570,84 @@ export default class webpack_isomorphic_tools
 
 		// when ready:
 
+		// verify webpack-assets.json (in production mode by default)
+		// so that a broken deployment fails right away
+		// rather than on the first request
+		const verify = exists(this.options.verify_manifest) ? this.options.verify_manifest : !this.options.development
+
+		const ready = (done, fail) => () =>
+		{
+			if (verify)
+			{
+				try
+				{
+					this.verify_manifest()
+				}
+				catch (error)
+				{
+					return fail(error)
+				}
+			}
+
+			done()
+		}
+
 		// if callback is given, call it back
 		if (callback)
 		{
 			// call back when ready
-			return this.wait_for_assets(callback)
+			// (with the error if the verification fails)
+			return this.wait_for_assets(ready(callback, callback))
 		}
 		// otherwise resolve a Promise
 		else
 		{
 			// no callback given, return a Promise
-			return new Promise((resolve, reject) => this.wait_for_assets(resolve))
+			return new Promise((resolve, reject) => this.wait_for_assets(ready(resolve, reject)))
+		}
+	}
+
+	// checks that webpack-assets.json is intact:
+	// of a known format version, with the chunk files in place
+	// and with well-formed asset values.
+	// throws an `invalid_manifest_error` listing the problems found.
+	// (warnings, e.g. for webpack-assets.json written by an older version
+	//  of the plugin, are output to the log)
+	verify_manifest()
+	{
+		const webpack_assets = this.webpack_assets()
+
+		// (for a Webpack `MultiCompiler` each compiler's assets are verified)
+		const compiler_names = webpack_assets.compilers ? Object.keys(webpack_assets.compilers) : [undefined]
+
+		let problems = []
+
+		for (let compiler_name of compiler_names)
+		{
+			for (let problem of manifest_problems(this.compiler_assets(webpack_assets, compiler_name), this.options.project_path))
+			{
+				if (compiler_name)
+				{
+					problem.compiler = compiler_name
+					problem.message = `(compiler "${compiler_name}") ${problem.message}`
+				}
+
+				if (problem.warning)
+				{
+					this.log.warning(`"${this.webpack_assets_path}": ${problem.message}`)
+					continue
+				}
+
+				problems.push(problem)
+			}
+		}
+
+		if (problems.length > 0)
+		{
+			throw new errors.invalid_manifest_error(`"${this.webpack_assets_path}" is broken:\n${problems.map(problem => ' * ' + problem.message).join('\n')}`, { problems })
 		}
+
+		this.log.debug(`"${this.webpack_assets_path}" verified`)
 	}
 
 	// Registers Node.js require() hooks for the assets
@@ -269,89 +711,166 @@ export default class webpack_isomorphic_tools
 		// intercepts loader-powered require() paths
 		this.loaders_hook = require_hacker.global_hook('webpack-loaders', (required_path, module) =>
 		{
+			const loader_path = parse_loader_path(required_path)
+
 			// filter out non-loader paths
-			// (ignore filesystem paths (both Linux and Windows)
-			//  and non-loader paths)
-			if (starts_with(required_path, '/')
-				|| starts_with(required_path, './')
-				|| starts_with(required_path, '../')
-				|| required_path.indexOf(':') > 0
-				|| required_path.indexOf('!') < 0)
+			if (!loader_path)
 			{
 				return
 			}
 
-			let parts = required_path.split('!')
-			const local_asset_path = parts.pop()
+			const global_asset_path = require_hacker.resolve(loader_path.asset_path, module)
 
-			// extra measures taken here to not
-			// confuse some legit require()d path
-			// with a seemingly loader-powered one
-			if (!starts_with(local_asset_path, './')
-				&& !starts_with(local_asset_path, '../'))
+			const path = loader_path.loaders + '!' + this.normalize_asset_path(global_asset_path)
+
+			const asset = this.asset_source(path)
+
+			if (asset === undefined)
 			{
 				return
 			}
 
-			parts = parts.map(loader =>
-			{
-				let loader_parts = loader.split('?')
+			return this.require_asset(asset, { require_cache_path: required_path + '.webpack-loaders', asset_path: path })
+		})
 
-				if (!ends_with(loader_parts[0], '-loader'))
-				{
-					loader_parts[0] += '-loader'
-				}
+		// allows method chaining
+		return this
+	}
 
-				return `./~/${loader_parts.join('?')}`
-			})
+	// Registers Node.js ES modules loader hooks for the assets
+	// (the `import` counterpart of the `.register()` method).
+	//
+	// Must be called after the `.server()` method
+	// and before any of your assets are `import`ed.
+	// Requires Node.js 20.6 or newer.
+	//
+	// (ES modules loader hooks can't be unregistered,
+	//  so `.undo()` doesn't affect them)
+	register_esm_loader()
+	{
+		// sanity check
+		if (!this.webpack_assets_path)
+		{
+			throw new errors.configuration_error(`You seem to have forgotten to call the .server() method`)
+		}
+
+		const { register } = require('module')
 
-			const global_asset_path = require_hacker.resolve(local_asset_path, module)
+		if (!register)
+		{
+			throw new errors.configuration_error(`ES modules loader hooks require Node.js 20.6 or newer`)
+		}
 
-			const path = parts.join('!') + '!' + this.normalize_asset_path(global_asset_path)
+		this.log.debug('registering ES modules loader hooks for assets')
 
-			const asset = this.asset_source(path)
+		const settings = this.esm_loader_settings()
+		const transferList = []
 
-			if (asset === undefined)
+		// when served over HTTP, the in-memory copy of webpack assets
+		// is posted to the loader thread every time it's updated
+		// (so that `import`ing an asset doesn't fetch webpack assets over HTTP)
+		if (this.options.development && this.options.port)
+		{
+			const { MessageChannel } = require('worker_threads')
+			const { port1, port2 } = new MessageChannel()
+
+			this.esm_loader_channel = port1
+			// don't keep Node.js process running just for this channel
+			this.esm_loader_channel.unref()
+
+			if (this.assets_cache)
 			{
-				return
+				this.esm_loader_channel.postMessage(this.assets_cache)
 			}
 
-			return this.require_asset(asset, { require_cache_path: required_path + '.webpack-loaders' })
-		})
+			settings.assets_channel = port2
+			transferList.push(port2)
+		}
+
+		register(pathToFileURL(path.resolve(__dirname, '../loader.mjs')).href, { data: settings, transferList })
 
 		// allows method chaining
 		return this
 	}
 
-	// registers a require hook for a particular file extension
-	register_extension(extension, description)
+	// ES modules loader hooks run in a separate thread,
+	// so the settings passed to them must be cloneable
+	// (hence no functions)
+	esm_loader_settings()
 	{
-		this.log.debug(` registering a require() hook for *.${extension}`)
+		const assets = {}
 
-		// place the require() hook for this extension
-		if (extension === 'json')
+		for (let asset_type of Object.keys(this.options.assets))
 		{
-			this.hooks.push(require_hacker.hook(extension, path =>
+			const { extensions, include, exclude, on_missing, placeholder } = this.options.assets[asset_type]
+
+			for (let clusion of (include || []).concat(exclude || []))
 			{
-				// special case for require('webpack-assets.json') and 'json' asset extension
-				if (path === this.webpack_assets_path)
+				if (typeof clusion === 'function')
 				{
-					return
+					throw new errors.configuration_error(`Functions can't be used for exclusion/inclusion with ES modules loader hooks (asset type "${asset_type}"). Use strings or regular expressions instead.`)
 				}
+			}
 
-				return this.require(path, description)
-			}))
+			if (typeof on_missing === 'function')
+			{
+				throw new errors.configuration_error(`Functions can't be used for "on_missing" with ES modules loader hooks (asset type "${asset_type}"). Use "throw" or "warn" instead.`)
+			}
+
+			assets[asset_type] = { extensions, include, exclude, on_missing, placeholder }
 		}
-		else
+
+		if (typeof this.options.on_missing === 'function')
 		{
-			this.hooks.push(require_hacker.hook(extension, path => this.require(path, description)))
+			throw new errors.configuration_error(`Functions can't be used for "on_missing" with ES modules loader hooks. Use "throw" or "warn" instead.`)
+		}
+
+		return {
+			project_path        : this.options.project_path,
+			webpack_assets_path : this.webpack_assets_path,
+			development         : this.options.development,
+			port                : this.options.port,
+			alias               : this.options.alias,
+			debug               : this.options.debug,
+			on_missing          : this.options.on_missing,
+			strict              : this.options.strict,
+			assets
 		}
 	}
 
-	// injects Webpack's `modulesDirectories` into Node.js module resolver
+	// registers a require hook for a particular file extension
+	register_extension(extension, description)
+	{
+		this.log.debug(` registering a require() hook for *.${extension}`)
+
+		// place the require() hook for this extension
+		if (extension === 'json')
+		{
+			this.hooks.push(require_hacker.hook(extension, path =>
+			{
+				// special case for require('webpack-assets.json') and 'json' asset extension
+				if (path === this.webpack_assets_path)
+				{
+					return
+				}
+
+				return this.require(path, description)
+			}))
+		}
+		else
+		{
+			this.hooks.push(require_hacker.hook(extension, path => this.require(path, description)))
+		}
+	}
+
+	// injects Webpack's `modulesDirectories` (or `resolve.modules`) into Node.js module resolver.
+	// modules directory names are looked up in every parent folder (like "node_modules"),
+	// absolute paths are looked up as is.
 	inject_modules_directories(modules_directories)
 	{
-		modules_directories = modules_directories.filter(x => x !== 'node_modules')
+		const modules_paths = modules_directories.filter(x => path.isAbsolute(x))
+
+		modules_directories = modules_directories.filter(x => x !== 'node_modules' && !path.isAbsolute(x))
 
 		// instrument Module._nodeModulePaths function
 		// https://github.com/nodejs/node/blob/master/lib/module.js#L202
@@ -381,27 +900,58 @@ export default class webpack_isomorphic_tools
 				})
 			})
 
+			modules_paths.forEach(function(modules_path)
+			{
+				paths.push(modules_path)
+			})
+
 			return original_find_paths(request, paths)
 		}
 	}
 
+	// makes Node.js module resolver try Webpack's `resolve.extensions`
+	// (e.g. `require('./component')` finding "./component.jsx").
+	// files with such extensions are loaded as javascript
+	// unless something else (e.g. `babel-register`) already handles them.
+	inject_extensions(extensions)
+	{
+		this.injected_extensions = []
+
+		for (let extension of javascript_extensions(extensions))
+		{
+			if (!Module._extensions[extension])
+			{
+				this.log.debug(`resolving "${extension}" files as javascript`)
+				Module._extensions[extension] = Module._extensions['.js']
+				this.injected_extensions.push(extension)
+			}
+		}
+	}
+
 	// injects helper functions into `require()` function
 	// (such as `.context()` and `.ensure()`)
 	// https://github.com/halt-hammerzeit/webpack-isomorphic-tools/issues/48#issuecomment-182878437
 	// (this is a "dirty" way to do it but it works)
 	patch_require()
 	{
+		// (each instance has its own function
+		//  so that several instances don't overwrite each other's context modules)
+		const context_function = this.context_module_function = `${context_module_function}_${++context_module_functions}`
+
 		// a source code of a function that
 		// require()s all modules inside the `base` folder
 		// and puts them into a hash map for further reference
 		//
 		// https://webpack.github.io/docs/context.html
 		//
+		// (the keys are taken from Webpack stats when the plugin has recorded this context module,
+		//  otherwise the `base` folder is scanned)
+		//
 		let require_context = `require.context = function(base, scan_subdirectories, regular_expression)
 		{
 			base = require('path').join(require('path').dirname(module.filename), base)
 
-			var contents = {}
+			var contents = global.${context_function} && global.${context_function}(base, scan_subdirectories, regular_expression)
 
 			// recursive function
 			function read_directory(directory)
@@ -434,7 +984,11 @@ export default class webpack_isomorphic_tools
 				})
 			}
 
-			read_directory(base)
+			if (!contents)
+			{
+				contents = {}
+				read_directory(base)
+			}
 
 			var result = function(asset_path)
 			{
@@ -455,23 +1009,74 @@ export default class webpack_isomorphic_tools
 		};`
 
 		// some code minification
-		require_context = UglifyJS.minify(require_context, { fromString: true }).code
+		// (the preamble must be a single line so that line numbers stay the same)
+		require_context = UglifyJS.minify(require_context, { fromString: true }).code + ';'
 
 		// Source code for `require.ensure()`
 		// https://github.com/halt-hammerzeit/webpack-isomorphic-tools/issues/84
 		const require_ensure = `require.ensure=function(d,c){c(require)};`
 
+		// Source code for dynamic `import()` and Webpack 2 `System.import()`.
+		//
+		// The module is `require()`d synchronously (so that it goes through
+		// the same module resolution and asset require() hooks)
+		// and then it's wrapped in a Promise.
+		//
+		// Babel-compiled ES modules are returned as is,
+		// CommonJS modules are returned as `{ default: module.exports, ... }`
+		// (the way Node.js and Webpack do it).
+		//
+		// (ES modules which can't be `require()`d fall back to native `import()`)
+		//
+		// (not minified because UglifyJS doesn't know about `import()`)
+		//
+		const dynamic_import = `var ${dynamic_import_function}=function(p){return new Promise(function(r){r(require(p))}).then(function(e){if(e&&e.__esModule)return e;var n={default:e};if(e&&typeof e==='object')Object.keys(e).forEach(function(k){if(k!=='default')n[k]=e[k]});return n},function(x){if(x&&x.code==='ERR_REQUIRE_ESM')return import(p);throw x})};`
+
+		// (`System` is renamed in `System.import()` calls
+		//  so that neither the file's own `System` nor a global one is shadowed)
+		const system_import = `var ${system_import_object}={import:${dynamic_import_function}};`
+
+		// Source code for `require.include()`
+		// (it only affects how Webpack splits code into chunks)
+		const require_include = `require.include=function(){};`
+
+		// Source code for `require.resolveWeak()`
+		// (e.g. `react-loadable` uses it to find out module ids)
+		const require_resolve_weak = `require.resolveWeak=function(p){try{return require.resolve(p)}catch(e){}};`
+
+		// Source code for `__webpack_require__` and `__webpack_public_path__`
+		// (the public path is taken from webpack-assets.json
+		//  at the time the module is compiled)
+		const webpack_require = public_path => `var __webpack_require__=function(p){return require(p)};__webpack_require__.p=${JSON.stringify(public_path)};`
+		const webpack_public_path = public_path => `var __webpack_public_path__=${JSON.stringify(public_path)};`
+
+		// which helpers to inject
+		// (`true` means `require.context()` and `require.ensure()` only)
+		const helpers = Array.isArray(this.options.patch_require) ? this.options.patch_require : default_require_helpers
+		const enabled = helper => helpers.indexOf(helper) >= 0
+
+		// which files to inject the helpers into
+		const extensions = this.options.patch_require_extensions || ['.js']
+
 		const debug = this.log.debug.bind(this.log)
 
+		const public_path = () => this.public_path()
+
+		// (is called by the injected `require.context()`)
+		global[context_function] = (base, recursive, regular_expression) => this.context_module(base, recursive, regular_expression)
+
 		// instrument Module.prototype._compile function
 		// https://github.com/nodejs/node/blob/master/lib/module.js#L376-L380
 		//
 		const original_compile = require('module').prototype._compile
 		//
+		// (is restored by `.undo()`)
+		this.original_compile = original_compile
+		//
 		require('module').prototype._compile = function(content, filename)
 		{
-			// inject it only in .js files
-			if (!ends_with(filename, '.js'))
+			// inject it only in javascript files
+			if (!extensions.some(extension => ends_with(filename, extension)))
 			{
 				// (the return value is supposed to be `undefined`)
 				return original_compile.call(this, content, filename)
@@ -482,7 +1087,7 @@ export default class webpack_isomorphic_tools
 
 			// inject it only in .js files which
 			// might probably have `require.context` reference
-			if (content.indexOf('require.context') >= 0)
+			if (enabled('require.context') && content.indexOf('require.context') >= 0)
 			{
 				debug(`Injecting require.context() into "${filename}"`)
 				preamble += require_context
@@ -490,37 +1095,146 @@ export default class webpack_isomorphic_tools
 
 			// inject it only in .js files which
 			// might probably have `require.ensure` reference
-			if (content.indexOf('require.ensure') >= 0)
+			if (enabled('require.ensure') && content.indexOf('require.ensure') >= 0)
 			{
 				debug(`Injecting require.ensure() into "${filename}"`)
 				preamble += require_ensure
 			}
 
-			// If there is a preamble to prepend
-			if (preamble)
+			if (enabled('require.include') && content.indexOf('require.include') >= 0)
 			{
-				// Account for "use strict" which is required to be in the beginning of the source code
-				if (starts_with(content, `'use strict'`) || starts_with(content, `"use strict"`))
+				debug(`Injecting require.include() into "${filename}"`)
+				preamble += require_include
+			}
+
+			if (enabled('require.resolveWeak') && content.indexOf('require.resolveWeak') >= 0)
+			{
+				debug(`Injecting require.resolveWeak() into "${filename}"`)
+				preamble += require_resolve_weak
+			}
+
+			if (enabled('__webpack_require__') && content.indexOf('__webpack_require__') >= 0)
+			{
+				debug(`Injecting __webpack_require__ into "${filename}"`)
+				preamble += webpack_require(public_path())
+			}
+
+			if (enabled('__webpack_public_path__') && content.indexOf('__webpack_public_path__') >= 0)
+			{
+				debug(`Injecting __webpack_public_path__ into "${filename}"`)
+				preamble += webpack_public_path(public_path())
+			}
+
+			// rewrite dynamic `import()`s in the project's own files
+			// (not in `node_modules`, since some packages use native `import()`
+			//  for loading ES modules)
+			// and Webpack 2 `System.import()`s
+			if (enabled('import()') && dynamic_import_candidate.test(content))
+			{
+				const replacements = { System: system_import_object }
+
+				if (filename.split(path.sep).indexOf('node_modules') < 0)
 				{
-					preamble = `"use strict";` + preamble
+					replacements.import = dynamic_import_function
+				}
+
+				let rewritten
+
+				try
+				{
+					rewritten = rewrite_dynamic_imports(content, replacements)
+				}
+				catch (error)
+				{
+					// (Node.js will report the syntax error itself, if it's an error)
+					debug(`Couldn't parse "${filename}" to rewrite import() calls: ${error.message}`)
+				}
+
+				if (rewritten && rewritten.rewritten.length > 0)
+				{
+					debug(`Injecting import() into "${filename}"`)
+
+					content = rewritten.source
+					preamble += dynamic_import
+
+					if (rewritten.rewritten.indexOf('System') >= 0)
+					{
+						preamble += system_import
+					}
 				}
 			}
 
 			// the "dirty" way
-			content = preamble + content
+			// (keeps line and column numbers of the original code)
+			if (preamble)
+			{
+				content = insert_preamble(content, preamble)
+			}
 
 			// (the return value is supposed to be `undefined`)
 			return original_compile.call(this, content, filename)
 		}
 	}
 
+	// returns Webpack `output.publicPath`
+	// (which is written to webpack-assets.json by the plugin)
+	public_path(compiler_name)
+	{
+		const public_path = this.assets(compiler_name).public_path
+
+		// (webpack-assets.json written by older versions of the plugin)
+		return exists(public_path) ? public_path : ''
+	}
+
+	// returns the keys of a `require.context()` call (mapped to file paths)
+	// the way Webpack resolved them for the bundle.
+	// (is recorded by the plugin from Webpack stats)
+	// returns `undefined` if there's no such context module in webpack-assets.json.
+	context_module(directory, recursive, regular_expression, compiler_name)
+	{
+		const contexts = this.assets(compiler_name).contexts || {}
+
+		// project-relative path to the directory, the way Webpack names it
+		directory = uniform_path(path.relative(this.options.project_path, directory)).replace(/(.)\/$/, '$1')
+
+		// Webpack defaults
+		recursive = recursive !== false
+		regular_expression = regular_expression || /^\.\/.*$/
+
+		for (let name of Object.keys(contexts))
+		{
+			const context = contexts[name]
+
+			if (context.directory !== directory || context.recursive !== recursive)
+			{
+				continue
+			}
+
+			// (Webpack strips the slashes, and flags are ignored)
+			if (context.regular_expression !== regular_expression.source && context.regular_expression !== String(regular_expression).slice(1, -1))
+			{
+				continue
+			}
+
+			const contents = {}
+
+			for (let key of Object.keys(context.keys))
+			{
+				// (Webpack 1 abbreviates "node_modules" as "~")
+				contents[key] = path.resolve(this.options.project_path, context.keys[key].replace(/^\.\/~\//, './node_modules/'))
+			}
+
+			return contents
+		}
+	}
+
 	normalize_asset_path(global_asset_path)
 	{
 		// sanity check
 		/* istanbul ignore if */
 		if (!this.options.project_path)
 		{
-			throw new Error(`You forgot to call the .server() method passing it your project's base path`)
+			throw new errors.configuration_error(`You forgot to call the .server() method passing it your project's base path`)
 		}
 
 		// convert global asset path to local-to-the-project asset path
@@ -545,15 +1259,17 @@ export default class webpack_isomorphic_tools
 		}
 
 		// find this asset in the list
-		const asset = this.asset_source(asset_path)
+		let asset = this.asset_source(asset_path)
 
-		// if the asset was not found in the list, output an error
+		// if the asset was not found in the list,
+		// then throw an error, or output an error and use a placeholder
+		// (depending on `on_missing` policy)
 		if (asset === undefined)
 		{
-			this.log.error(`asset not found: ${asset_path}`)
+			asset = missing_asset(asset_path, this.assets().assets, description, this.options, this.log)
 		}
 
-		return this.require_asset(asset, { require_cache_path: global_asset_path })
+		return this.require_asset(asset, { require_cache_path: global_asset_path, asset_path })
 	}
 
 	// require()s an asset by it source
@@ -568,6 +1284,9 @@ export default class webpack_isomorphic_tools
 			this.cached_assets.push(options.require_cache_path)
 		}
 
+		// so that `.collect()` could tell assets from other modules
+		this.required_asset_paths[options.require_cache_path] = options.asset_path
+
 		// return CommonJS module source for this asset
 		return require_hacker.to_javascript_module_source(asset)
 	}
@@ -577,80 +1296,117 @@ export default class webpack_isomorphic_tools
 	{
 		this.log.debug(` requiring ${asset_path}`)
 
-		// Webpack replaces `node_modules` with `~`.
-		// I don't know how exactly it decides whether to
-		// replace `node_modules` with `~` or not
-		// so it will be a guess.
-		function possible_webpack_paths(asset_path)
-		{
-			// Webpack always replaces project's own `node_modules` with `~`
-			if (starts_with(asset_path, './node_modules/'))
-			{
-				asset_path = asset_path.replace('./node_modules/', './~/')
-			}
+		// get real file path list
+		const assets = this.assets().assets
 
-			// if there are any `node_modules` left,
-			// supposing the count is N,
-			// then there are 2 to the power of N possible guesses
-			// on how webpack path might look like.
-			const parts = asset_path.split('/node_modules/')
+		// find this asset in the real file path list
+		// (if the asset was not found in the list, returns nothing)
+		return find_asset(assets, asset_path, this.options.project_path, this.log)
+	}
 
-			function construct_guesses(parts)
-			{
-				if (parts.length === 1)
-				{
-					return [parts]
-				}
+	// Collects the assets require()d while running the `action`
+	// (e.g. while rendering a page) so that one could, for example,
+	// output `<link rel="preload"/>` tags for them
+	// or inline only the CSS a page actually uses.
+	//
+	// The `action` can be asynchronous (return a Promise).
+	//
+	// Returns a Promise resolving to `{ result, assets }`
+	// where `result` is what the `action` returned
+	// and `assets` is a list of `{ path, value }`
+	// in the order they were require()d.
+	//
+	collect(action)
+	{
+		this.track_required_assets()
 
-				const last = parts.pop()
-				const rest = construct_guesses(parts)
+		const collected = []
 
-				const guesses = []
+		return this.collector.run(collected, () => new Promise(resolve => resolve(action())))
+			.then(result => ({ result, assets: collected }))
+	}
 
-				for (let guess of rest)
-				{
-					const one = clone(guess)
-					one.push('/~/')
-					one.push(last)
+	// intercepts all require() calls to find out which assets are require()d.
+	// (require() hooks alone won't do because they're not called
+	//  for the assets which are already in require() cache)
+	track_required_assets()
+	{
+		if (this.collector)
+		{
+			return
+		}
 
-					const two = clone(guess)
-					two.push('/node_modules/')
-					two.push(last)
+		this.collector = new AsyncLocalStorage()
 
-					guesses.push(one)
-					guesses.push(two)
-				}
+		const tools = this
+		const original_require = this.original_require = Module.prototype.require
+
+		Module.prototype.require = this.tracking_require = function(required_path)
+		{
+			const result = original_require.apply(this, arguments)
+
+			// (is still called after `.undo()`
+			//  if `require()` has been patched by someone else since)
+			const collected = tools.collector && tools.collector.getStore()
 
-				return guesses
+			if (collected)
+			{
+				tools.collect_asset(collected, required_path, this, result)
 			}
 
-			return construct_guesses(parts)
+			return result
 		}
+	}
 
-		// get real file path list
-		const assets = this.assets().assets
+	// adds an asset to the list of collected assets
+	// (if the require()d path is an asset)
+	collect_asset(collected, required_path, module, value)
+	{
+		let require_cache_path
 
-		const possible_webpack_asset_paths = possible_webpack_paths(asset_path).map(path => path.join(''))
+		// loader-powered paths are intercepted by a global require() hook
+		if (required_path.indexOf('!') >= 0)
+		{
+			require_cache_path = required_path + '.webpack-loaders'
+		}
+		// assets are intercepted by file extension
+		else if (this.has_asset_extension(required_path))
+		{
+			require_cache_path = Module._resolveFilename(required_path, module)
+		}
+
+		const asset_path = this.required_asset_paths[require_cache_path]
 
-		for (let webpack_asset_path of possible_webpack_asset_paths)
+		// not an asset
+		if (!exists(asset_path))
 		{
-			if (possible_webpack_asset_paths.length > 1)
-			{
-				this.log.debug(`  trying "${webpack_asset_path}"`)
-			}
+			return
+		}
 
-			// find this asset in the real file path list
-			const asset = assets[webpack_asset_path]
+		// already collected
+		if (collected.some(asset => asset.path === asset_path))
+		{
+			return
+		}
+
+		collected.push({ path: asset_path, value })
+	}
 
-			if (exists(asset))
+	// checks if the path has any of the asset file extensions
+	has_asset_extension(path)
+	{
+		for (let asset_type of Object.keys(this.options.assets))
+		{
+			for (let extension of this.options.assets[asset_type].extensions)
 			{
-				// the asset was found in the list - return it
-				return asset
+				if (ends_with(path, `.${extension}`))
+				{
+					return true
+				}
 			}
 		}
 
-		// if the asset was not found in the list, return nothing
-		return
+		return false
 	}
 
 	// unregisters require() hooks
@@ -671,11 +1427,60 @@ export default class webpack_isomorphic_tools
 			this.alias_hook.unmount()
 		}
 
+		// stop resolving Webpack `resolve.extensions`
+		if (this.injected_extensions)
+		{
+			for (let extension of this.injected_extensions)
+			{
+				delete Module._extensions[extension]
+			}
+		}
+
 		// unmount require() hook which intercepts loader-powered require() paths
 		if (this.loaders_hook)
 		{
 			this.loaders_hook.unmount()
 		}
+
+		// stop injecting helpers into `require()` function
+		if (this.original_compile)
+		{
+			Module.prototype._compile = this.original_compile
+			this.original_compile = undefined
+
+			delete global[this.context_module_function]
+		}
+
+		// stop tracking require()d assets
+		// (unless `require()` has been patched by someone else since,
+		//  in which case restoring it would remove their patch)
+		if (this.collector)
+		{
+			if (Module.prototype.require === this.tracking_require)
+			{
+				Module.prototype.require = this.original_require
+			}
+
+			this.collector = undefined
+		}
+
+		// stop watching webpack-assets.json
+		if (this.assets_watcher)
+		{
+			this.assets_watcher.close()
+		}
+
+		// stop listening to Webpack builds
+		if (this.build_events)
+		{
+			this.unsubscribe_from_builds()
+		}
+
+		// stop waiting for webpack-assets.json
+		if (this.assets_waiter)
+		{
+			this.assets_waiter.close()
+		}
 	}
 
 	// Checks if the required path should be excluded from the custom require() hook
@@ -687,38 +1492,8 @@ export default class webpack_isomorphic_tools
 			return false
 		}
 
-		// for each exclusion case
-		for (let exclude of options.exclude)
-		{
-			// supports regular expressions
-			if (exclude instanceof RegExp)
-			{
-				if (exclude.test(path))
-				{
-					return true
-				}
-			}
-			// check for a compex logic match
-			else if (typeof exclude === 'function')
-			{
-				if (exclude(path))
-				{
-					return true
-				}
-			}
-			// otherwise check for a simple textual match
-			else
-			{
-				if (exclude === path)
-				{
-					return true
-				}
-			}
-		}
-
-		// no matches found.
 		// returns false so that it isn't undefined (for testing purpose)
-		return false
+		return matches_any(path, options.exclude)
 	}
 
 	// Checks if the required path should be included in the custom require() hook
@@ -730,38 +1505,8 @@ export default class webpack_isomorphic_tools
 			return true
 		}
 
-		// for each inclusion case
-		for (let include of options.include)
-		{
-			// supports regular expressions
-			if (include instanceof RegExp)
-			{
-				if (include.test(path))
-				{
-					return true
-				}
-			}
-			// check for a compex logic match
-			else if (typeof include === 'function')
-			{
-				if (include(path))
-				{
-					return true
-				}
-			}
-			// otherwise check for a simple textual match
-			else
-			{
-				if (include === path)
-				{
-					return true
-				}
-			}
-		}
-
-		// no matches found.
 		// returns false so that it isn't undefined (for testing purpose)
-		return false
+		return matches_any(path, options.include)
 	}
 
 	// Waits for webpack-assets.json to be created after Webpack build process finishes
@@ -772,83 +1517,171 @@ export default class webpack_isomorphic_tools
 	//
 	wait_for_assets(done)
 	{
-		// condition check interval
-		const check_interval = 300 // in milliseconds
-		const message_interval = 2000 // in milliseconds
+		// either go over network
+		if (this.options.development && this.options.port)
+		{
+			this.wait_for_assets_over_network(done)
+		}
+		// or read it from disk
+		else
+		{
+			this.wait_for_assets_file(done)
+		}
 
-		// show the message not too often
-		let message_timer = 0
+		// allows method chaining
+		return this
+	}
 
-		// selfie
-		const tools = this
+	// Waits for webpack-assets.json to be written to disk by Webpack
+	wait_for_assets_file(done)
+	{
+		// (setTimeout() for global.webpack_isomorphic_tools)
+		if (fs.existsSync(this.webpack_assets_path))
+		{
+			return setImmediate(done)
+		}
+
+		// show the "waiting" message periodically
+		const message_interval = 2000 // in milliseconds
 
-		// waits for condition to be met, then proceeds
-		function wait_for(condition, proceed)
+		const message_timer = setInterval(() =>
 		{
-			function check()
-			{
-				// if the condition is met, then proceed
-				if (condition())
-				{
-					return proceed()
-				}
+			this.log.debug(`(${this.webpack_assets_path} not found)`)
+			this.log.info('(waiting for the first Webpack build to finish)')
+		},
+		message_interval)
 
-				message_timer += check_interval
+		const watcher = watch_files(path.dirname(this.webpack_assets_path), file_name => file_name === path.basename(this.webpack_assets_path), () =>
+		{
+			if (!fs.existsSync(this.webpack_assets_path))
+			{
+				return
+			}
 
-				if (message_timer >= message_interval)
-				{
-					message_timer = 0
+			this.assets_waiter.close()
+			this.assets_waiter = undefined
 
-					tools.log.debug(`(${tools.webpack_assets_path} not found)`)
-					tools.log.info('(waiting for the first Webpack build to finish)')
-				}
+			done()
+		})
 
-				setTimeout(check, check_interval)
+		this.assets_waiter =
+		{
+			close()
+			{
+				clearInterval(message_timer)
+				watcher.close()
 			}
+		}
+	}
 
-			check()
+	// Waits for webpack-isomorphic-tools plugin HTTP service
+	// to start serving webpack assets
+	wait_for_assets_over_network(done)
+	{
+		if (this.assets_cache)
+		{
+			return setImmediate(done)
 		}
 
-		// wait for webpack-assets.json to be written to disk by Webpack
-		// (setTimeout() for global.webpack_isomorphic_tools )
+		// (in case `.wait_for_assets()` is called on its own)
+		if (!this.build_events)
+		{
+			this.subscribe_to_builds()
+		}
 
-		let ready_check
+		// show the "waiting" message periodically
+		const message_interval = 2000 // in milliseconds
 
-		// either go over network
-		if (this.options.development && this.options.port)
+		const message_timer = setInterval(() =>
 		{
-			ready_check = () =>
-			{
-				try
-				{
-					request(this.options.port)
-					return true
-				}
-				catch (error)
-				{
-					if (!starts_with(error.message, 'Server responded with status code 404:\nWebpack assets not generated yet')
-						&& !starts_with(error.message, 'connect ECONNREFUSED')
-						&& !starts_with(error.message, 'Request timed out after'))
-					{
-						this.log.error(`Couldn't contact webpack-isomorphic-tools plugin over HTTP. Using an empty stub for webpack assets map.`)
-						this.log.error(error)
-					}
+			this.log.info('(waiting for the first Webpack build to finish)')
+		},
+		message_interval)
 
-					return false
-				}
-			}
+		const ready = () =>
+		{
+			this.assets_waiter.close()
+			this.assets_waiter = undefined
+
+			done()
 		}
-		// or read it from disk
-		else
+
+		this.once('assets-updated', ready)
+
+		this.assets_waiter =
 		{
-			ready_check = () => fs.existsSync(this.webpack_assets_path)
+			close: () =>
+			{
+				clearInterval(message_timer)
+				this.removeListener('assets-updated', ready)
+			}
 		}
+	}
+}
+
+// returns the files of a given type for an entrypoint or a chunk (by name)
+// (entrypoints come first since they list all the files needed in the right order)
+function chunk_or_entrypoint_files(assets, name, type)
+{
+	if (assets.entrypoints && assets.entrypoints[name])
+	{
+		return assets.entrypoints[name][type]
+	}
 
-		setImmediate(() => wait_for(ready_check, done))
+	if (assets.chunks && assets.chunks[name])
+	{
+		return assets.chunks[name][type]
+	}
 
-		// allows method chaining
-		return this
+	// webpack-assets.json generated by an older version of the plugin
+	if (exists(assets.javascript[name]) || exists(assets.styles[name]))
+	{
+		return exists(assets[type][name]) ? [assets[type][name]] : []
 	}
+
+	throw new errors.asset_not_found_error(`Neither an entrypoint nor a chunk named "${name}" was found in webpack assets`, { chunk: name })
+}
+
+// dynamic `import()` calls are replaced with calls to this function
+// (see `.patch_require()`)
+// (has the same length as "import" so that column numbers don't change)
+const dynamic_import_function = '__imp$'
+
+// the injected `require.context()` looks up context modules
+// recorded by the plugin using this function
+// (suffixed with a number for each instance)
+// (see `.patch_require()`)
+const context_module_function = '__webpack_isomorphic_tools_context__'
+let context_module_functions = 0
+
+// `System` in Webpack 2 `System.import()` calls is replaced with this name
+// (see `.patch_require()`)
+// (has the same length as "System" so that column numbers don't change)
+const system_import_object = '__sys$'
+
+// files which might have `import(...)` or `System.import(...)` calls
+// (only those are parsed)
+const dynamic_import_candidate = /import\s*\(/
+
+// reads the options file written by the plugin
+// (the path is relative to the current working directory)
+function read_options_file(options_file_path)
+{
+	options_file_path = path.resolve(options_file_path)
+
+	if (!fs.existsSync(options_file_path))
+	{
+		throw new errors.manifest_unavailable_error(`webpack-isomorphic-tools options file "${options_file_path}" not found. It's written by webpack-isomorphic-tools plugin when "options_file_path" option is set, so most likely Webpack hasn't been run yet.`, { path: options_file_path })
+	}
+
+	// (it's a javascript file because it contains functions and regular expressions)
+	return require(options_file_path)
+}
+
+// error classes (e.g. `webpack_isomorphic_tools.asset_not_found_error`)
+for (let error_class of Object.keys(errors))
+{
+	webpack_isomorphic_tools[error_class] = errors[error_class]
 }
 
 // Doesn't work with Babel 6 compiler
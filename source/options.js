@@ -0,0 +1,572 @@
+import { is_object, exists, extend, closest_match, repeat } from './helpers'
+import { configuration_error } from './errors'
+
+export const verbosity_levels =
+{
+	no_webpack_stats             : 'no webpack stats',
+	webpack_stats_for_each_build : 'webpack stats for each build'
+}
+
+// how webpack-assets.json is written for a `MultiCompiler`
+export const multi_compiler_manifest_modes =
+{
+	// a single webpack-assets.json with assets info for each compiler
+	merged       : 'merged',
+	// a separate webpack-assets.json for each compiler
+	per_compiler : 'per compiler'
+}
+
+// what the plugin does with the asset types derived from Webpack loaders configuration
+export const derive_asset_types_modes =
+{
+	// outputs the proposed asset types to the console
+	propose  : 'propose',
+	// adds the derived asset types to the configured ones
+	generate : 'generate'
+}
+
+// what happens when a `require()`d asset isn't found in webpack-assets.json
+// (`on_missing` option can also be a function)
+export const missing_asset_policies =
+{
+	// throws an error
+	throw : 'throw',
+	// outputs an error to the console and returns the `placeholder`
+	warn  : 'warn'
+}
+
+// helpers injected into modules by `patch_require` option
+export const require_helpers =
+[
+	'require.context',
+	'require.ensure',
+	'require.include',
+	'require.resolveWeak',
+	// dynamic `import()` and `System.import()`
+	'import()',
+	'__webpack_require__',
+	'__webpack_public_path__'
+]
+
+// helpers injected by `patch_require: true`
+// (the rest of them have to be listed explicitly)
+export const default_require_helpers = ['require.context', 'require.ensure']
+
+const values = object => Object.keys(object).map(key => object[key])
+
+// `on_missing` option (both global and for an asset type)
+const on_missing_schema =
+{
+	type        : ['string', 'function'],
+	description : 'What happens when a `require()`d asset isn\'t found in webpack-assets.json: "throw", "warn" (the default) or (asset_path, asset_type) => *',
+	validate(value, path, problem)
+	{
+		if (typeof value === 'string' && values(missing_asset_policies).indexOf(value) < 0)
+		{
+			problem(path, `must be one of: ${values(missing_asset_policies).map(value => JSON.stringify(value)).join(', ')} (or a function)`)
+		}
+	}
+}
+
+// webpack-isomorphic-tools configuration schema
+// (is shared by the plugin and the server-side instance).
+//
+// each option is described by:
+//
+//   type        - 'boolean', 'string', 'number', 'object', 'array', 'function' or 'regexp'
+//                 (or an array of those)
+//   description - is shown in the options reference
+//   required    - whether the option must be specified
+//   one_of      - a list of allowed values
+//   hint        - is appended to the type mismatch message
+//   items       - schema for array items
+//   properties  - schemas for object properties
+//   each        - schema for every object property
+//                 (for objects having arbitrary keys, like `assets` or `alias`)
+//   key         - what the keys are (for `each`)
+//   validate    - a function performing additional checks
+//   deprecated  - the option which replaced this one
+//
+export const options_schema =
+{
+	assets:
+	{
+		type        : 'object',
+		required    : true,
+		description : 'Asset types (by asset type name)',
+		key         : 'asset type',
+		each:
+		{
+			type        : 'object',
+			description : 'Asset type',
+			properties:
+			{
+				extension:
+				{
+					type        : 'string',
+					description : 'File extension',
+					hint        : 'use "extensions" for a list of file extensions'
+				},
+				extensions:
+				{
+					type        : 'array',
+					description : 'File extensions',
+					items       : { type: 'string' }
+				},
+				include:
+				{
+					type        : 'array',
+					description : 'Only these paths are assets of this type (paths, regular expressions or functions)',
+					items       : { type: ['string', 'regexp', 'function'] }
+				},
+				exclude:
+				{
+					type        : 'array',
+					description : 'These paths aren\'t assets of this type (paths, regular expressions or functions)',
+					items       : { type: ['string', 'regexp', 'function'] }
+				},
+				filter:
+				{
+					type        : 'function',
+					description : '(module, regular_expression, options, log) => Boolean: whether a Webpack module is an asset of this type'
+				},
+				path:
+				{
+					type        : 'function',
+					description : '(module, options, log) => String: asset path for a Webpack module'
+				},
+				parser:
+				{
+					type        : 'function',
+					description : '(module, options, log) => *: asset value for a Webpack module'
+				},
+				regular_expression:
+				{
+					type        : 'regexp',
+					description : 'Overrides the regular expression generated from file extensions'
+				},
+				on_missing: on_missing_schema,
+				placeholder:
+				{
+					type        : ['string', 'number', 'boolean', 'object', 'array'],
+					description : 'Is returned for an asset not found in webpack-assets.json when `on_missing` is "warn" (e.g. a transparent pixel data URI for images)'
+				}
+			},
+			validate(description, path, problem)
+			{
+				if (!exists(description.extension) && !exists(description.extensions))
+				{
+					problem(`${path}.extensions`, 'is required (file extensions of this asset type)')
+				}
+			}
+		}
+	},
+
+	debug:
+	{
+		type        : 'boolean',
+		description : 'Outputs debugging info'
+	},
+
+	verbose:
+	{
+		type        : 'boolean',
+		deprecated  : 'verbosity'
+	},
+
+	verbosity:
+	{
+		type        : 'string',
+		one_of      : values(verbosity_levels),
+		description : 'Webpack stats output to the console in development mode'
+	},
+
+	multi_compiler_manifest:
+	{
+		type        : 'string',
+		one_of      : values(multi_compiler_manifest_modes),
+		description : 'How webpack-assets.json is written for a Webpack `MultiCompiler`'
+	},
+
+	port:
+	{
+		type        : 'number',
+		description : 'Serves webpack-assets.json over HTTP on this port in development mode'
+	},
+
+	webpack_assets_file_path:
+	{
+		type        : 'string',
+		description : 'webpack-assets.json path (relative to the project path)'
+	},
+
+	webpack_stats_file_path:
+	{
+		type        : 'string',
+		description : 'webpack-stats.json path (relative to the project path)'
+	},
+
+	alias:
+	{
+		type        : 'object',
+		description : 'Webpack `resolve.alias`',
+		key         : 'module name',
+		each:
+		{
+			type        : 'string',
+			description : 'Aliased module path'
+		}
+	},
+
+	modules_directories:
+	{
+		type        : 'array',
+		description : 'Webpack `resolve.modulesDirectories`',
+		items       : { type: 'string' }
+	},
+
+	resolve:
+	{
+		type        : 'object',
+		description : 'Webpack `resolve` settings applied to Node.js module resolution (captured from Webpack configuration by the plugin)',
+		properties:
+		{
+			alias:
+			{
+				type        : 'object',
+				description : 'Webpack `resolve.alias`',
+				key         : 'module name',
+				each:
+				{
+					type        : 'string',
+					description : 'Aliased module path'
+				}
+			},
+			modules:
+			{
+				type        : 'array',
+				description : 'Webpack `resolve.modules` (modules directory names or absolute paths)',
+				items       : { type: 'string' }
+			},
+			extensions:
+			{
+				type        : 'array',
+				description : 'Webpack `resolve.extensions` (e.g. ".jsx")',
+				items       : { type: 'string' }
+			}
+		}
+	},
+
+	require_context:
+	{
+		type        : 'boolean',
+		deprecated  : 'patch_require'
+	},
+
+	patch_require:
+	{
+		type        : ['boolean', 'array'],
+		items       : { type: 'string', one_of: require_helpers },
+		description : 'Adds Webpack `require()` helpers on the server side (`true` for `require.context()` and `require.ensure()`, or a list of them)'
+	},
+
+	on_missing: on_missing_schema,
+
+	strict:
+	{
+		type        : 'boolean',
+		description : 'Throws an error for any `require()`d asset which isn\'t found in webpack-assets.json when not in development mode (regardless of `on_missing`)'
+	},
+
+	verify_manifest:
+	{
+		type        : 'boolean',
+		description : 'Checks that webpack-assets.json is intact when the server starts (is on in production mode by default)'
+	},
+
+	patch_require_extensions:
+	{
+		type        : 'array',
+		items       : { type: 'string' },
+		description : 'File extensions of the modules `patch_require` helpers are injected into (".js" by default, e.g. ".jsx" or ".ts" compiled by `babel-register`)'
+	},
+
+	split_chunks_info:
+	{
+		type        : 'boolean',
+		description : 'Writes chunks info to a separate file so that webpack-assets.json only changes when the assets do'
+	},
+
+	options_file_path:
+	{
+		type        : 'string',
+		description : 'The plugin writes its normalized options to this file (relative to the project path) so that the server-side instance could be constructed from it'
+	},
+
+	derive_asset_types:
+	{
+		type        : 'string',
+		one_of      : values(derive_asset_types_modes),
+		description : 'Inspects Webpack loaders configuration and proposes (or generates) asset types for the loaded file types'
+	}
+}
+
+// adds missing fields, etc
+export function normalize_options(options)
+{
+	// throws if any problems are found
+	validate_options(options)
+
+	// Legacy `verbose` option is converted to `verbosity`
+	if (exists(options.verbose))
+	{
+		console.log('[webpack-isomorphic-tools] WARNING: `verbose` option is now called `verbosity`')
+		if (options.verbose)
+		{
+			options.verbosity = verbosity_levels.webpack_stats_for_each_build
+		}
+		delete options.verbose
+	}
+
+	// Legacy `require_context` option is converted to `patch_require`
+	if (exists(options.require_context))
+	{
+		console.log('[webpack-isomorphic-tools] WARNING: `require_context` option is now called `patch_require`')
+		options.patch_require = options.require_context
+		delete options.require_context
+	}
+
+	// webpack-assets.json path, relative to the project base path
+	options.webpack_assets_file_path = options.webpack_assets_file_path || 'webpack-assets.json'
+
+	// webpack-stats.json path, relative to the project base path
+	options.webpack_stats_file_path = options.webpack_stats_file_path || 'webpack-stats.json'
+
+	// merge Webpack `resolve` settings into `alias` and `modules_directories`
+	apply_resolve_settings(options)
+
+	// normalize extensions for each user defined asset type
+	for (let asset_type of Object.keys(options.assets))
+	{
+		const description = options.assets[asset_type]
+
+		if (description.extension)
+		{
+			description.extensions = [description.extension]
+			delete description.extension
+		}
+	}
+}
+
+// merges Webpack `resolve.alias` and `resolve.modules`
+// into `alias` and `modules_directories` options
+// (the explicitly configured ones take precedence)
+export function apply_resolve_settings(options)
+{
+	if (!options.resolve)
+	{
+		return
+	}
+
+	if (options.resolve.alias)
+	{
+		options.alias = extend({}, options.resolve.alias, options.alias)
+	}
+
+	if (options.resolve.modules)
+	{
+		const modules_directories = options.modules_directories || []
+
+		for (let modules_directory of options.resolve.modules)
+		{
+			if (modules_directories.indexOf(modules_directory) < 0)
+			{
+				modules_directories.push(modules_directory)
+			}
+		}
+
+		options.modules_directories = modules_directories
+	}
+}
+
+// validates options against the schema.
+// throws an error listing all the problems found (if any).
+export function validate_options(options)
+{
+	const problems = []
+
+	const problem = (path, message) => problems.push({ path, message: `"${path}" ${message}` })
+
+	validate_properties(options, options_schema, '', problem)
+
+	if (problems.length > 0)
+	{
+		throw new configuration_error(`Invalid webpack-isomorphic-tools configuration:\n${problems.map(problem => ' * ' + problem.message).join('\n')}`, { problems })
+	}
+}
+
+// validates object properties against their schemas
+function validate_properties(object, properties, path, problem)
+{
+	for (let key of Object.keys(object))
+	{
+		const key_path = path + key
+
+		if (!properties[key])
+		{
+			// suggest the closest valid key (not suggesting deprecated ones)
+			const suggestion = closest_match(key, Object.keys(properties).filter(key => !properties[key].deprecated))
+
+			problem(key_path, `is an unknown configuration parameter${suggestion ? `. Did you mean "${path + suggestion}"?` : ''}`)
+			continue
+		}
+
+		validate(object[key], properties[key], key_path, problem)
+	}
+
+	for (let key of Object.keys(properties))
+	{
+		if (properties[key].required && !exists(object[key]))
+		{
+			problem(path + key, 'is required')
+		}
+	}
+}
+
+// validates a value against its schema
+function validate(value, schema, path, problem)
+{
+	const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+
+	if (types.indexOf(type_of(value)) < 0)
+	{
+		return problem(path, `must be ${one_of(types.map(describe_type))}${schema.hint ? ` (${schema.hint})` : ''}`)
+	}
+
+	if (schema.one_of && schema.one_of.indexOf(value) < 0)
+	{
+		return problem(path, `must be one of: ${schema.one_of.map(value => JSON.stringify(value)).join(', ')}`)
+	}
+
+	// (an option may have several types, e.g. a boolean or an array)
+	if (schema.items && Array.isArray(value))
+	{
+		value.forEach((item, index) => validate(item, schema.items, `${path}[${index}]`, problem))
+	}
+
+	if (schema.properties && is_object(value))
+	{
+		validate_properties(value, schema.properties, path + '.', problem)
+	}
+
+	if (schema.each && is_object(value))
+	{
+		for (let key of Object.keys(value))
+		{
+			validate(value[key], schema.each, `${path}.${key}`, problem)
+		}
+	}
+
+	if (schema.validate)
+	{
+		schema.validate(value, path, problem)
+	}
+}
+
+function type_of(value)
+{
+	if (value instanceof RegExp)
+	{
+		return 'regexp'
+	}
+
+	if (Array.isArray(value))
+	{
+		return 'array'
+	}
+
+	if (is_object(value))
+	{
+		return 'object'
+	}
+
+	return typeof value
+}
+
+// "a", "a or b", "a, b or c"
+function one_of(variants)
+{
+	if (variants.length === 1)
+	{
+		return variants[0]
+	}
+
+	return variants.slice(0, -1).join(', ') + ' or ' + variants[variants.length - 1]
+}
+
+function describe_type(type)
+{
+	switch (type)
+	{
+		case 'regexp':
+			return 'a regular expression'
+		case 'array':
+		case 'object':
+			return `an ${type}`
+		default:
+			return `a ${type}`
+	}
+}
+
+// returns a printable reference of all the options
+export function options_reference()
+{
+	const lines = []
+
+	describe_properties(options_schema, '', lines)
+
+	const width = Math.max(...lines.map(line => line.path.length))
+
+	return lines.map(line => line.path + repeat(' ', width - line.path.length) + '  ' + line.description).join('\n')
+}
+
+function describe_properties(properties, path, lines)
+{
+	for (let key of Object.keys(properties))
+	{
+		describe_option(properties[key], path + key, lines)
+	}
+}
+
+function describe_option(schema, path, lines)
+{
+	const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+
+	let description = `(${types.join(' | ')}${schema.required ? ', required' : ''}) `
+
+	if (schema.deprecated)
+	{
+		description += `Deprecated: use "${schema.deprecated}" instead`
+	}
+	else
+	{
+		description += schema.description
+	}
+
+	if (schema.one_of)
+	{
+		description += `: ${schema.one_of.map(value => JSON.stringify(value)).join(', ')}`
+	}
+
+	lines.push({ path, description })
+
+	if (schema.properties)
+	{
+		describe_properties(schema.properties, path + '.', lines)
+	}
+
+	if (schema.each)
+	{
+		describe_option(schema.each, `${path}.<${schema.key}>`, lines)
+	}
+}
@@ -0,0 +1,312 @@
+import { exists, ends_with } from '../helpers'
+
+// Inspects Webpack loaders configuration (`module.rules`, or `module.loaders` for Webpack 1)
+// to find out which file types are loaded with which loaders.
+
+// what kind of asset a file is (judging by the loaders it's loaded with)
+export const loader_kinds =
+{
+	// `url-loader`, `file-loader`, Webpack 5 asset modules
+	url                     : 'url',
+	// `style-loader` + `css-loader`
+	style                   : 'style',
+	// `style-loader` + `css-loader` with "CSS modules" feature
+	style_modules           : 'style modules',
+	// `css-loader` with "CSS modules" feature (styles are extracted into a file)
+	extracted_style_modules : 'extracted style modules'
+}
+
+const image_extensions = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'ico', 'bmp']
+const font_extensions  = ['woff', 'woff2', 'ttf', 'eot', 'otf']
+
+// flattens Webpack loaders configuration into a list of rules:
+// `{ test, loaders, css_modules, type }`
+export function loader_rules(module_configuration = {})
+{
+	const rules = []
+
+	add_rules(module_configuration.rules || [], rules)
+	add_rules(module_configuration.loaders || [], rules)
+
+	return rules
+}
+
+function add_rules(configuration, rules)
+{
+	for (let rule of configuration)
+	{
+		// nested rules (Webpack 2+)
+		add_rules(rule.oneOf || [], rules)
+		add_rules(rule.rules || [], rules)
+
+		const test = rule.test || rule.resource
+
+		if (!test)
+		{
+			continue
+		}
+
+		const loaders = rule_loaders(rule)
+
+		rules.push
+		({
+			test,
+			loaders     : loaders.map(loader => loader.name),
+			css_modules : loaders.some(loader => loader.name === 'css' && loader.css_modules),
+			type        : rule.type
+		})
+	}
+}
+
+// lists loaders of a rule: `{ name, css_modules }`
+function rule_loaders(rule)
+{
+	let loaders = []
+
+	for (let key of ['loader', 'loaders', 'use'])
+	{
+		if (exists(rule[key]))
+		{
+			loaders = loaders.concat(rule[key])
+		}
+	}
+
+	const result = []
+
+	for (let loader of loaders)
+	{
+		// `{ loader, options }`
+		if (typeof loader === 'object')
+		{
+			result.push
+			({
+				name        : loader_name(loader.loader),
+				css_modules : is_enabled(loader.options && loader.options.modules) || is_enabled(loader.query && loader.query.modules)
+			})
+			continue
+		}
+
+		if (typeof loader !== 'string')
+		{
+			continue
+		}
+
+		// "style!css?modules"
+		for (let part of loader.split('!'))
+		{
+			result.push
+			({
+				name        : loader_name(part),
+				css_modules : /[?&]modules(=true)?(&|$)/.test(part)
+			})
+		}
+	}
+
+	return result
+}
+
+// "style-loader?query" -> "style"
+// ("/path/to/node_modules/style-loader/index.js" -> "style")
+function loader_name(loader = '')
+{
+	const path = loader.split('?')[0]
+
+	const match = path.match(/(?:^|[\/\\])([^\/\\]+?)(?:-loader)?(?:[\/\\](?:dist[\/\\])?(?:index|cjs)(?:\.js)?)?$/)
+
+	return match ? match[1] : path
+}
+
+const is_enabled = value => exists(value) && value !== false
+
+// tells which kind of asset a rule loads (if any)
+function rule_kind(rule)
+{
+	// Webpack 5 asset modules
+	if (rule.type && rule.type.indexOf('asset') === 0)
+	{
+		return loader_kinds.url
+	}
+
+	if (rule.loaders.indexOf('url') >= 0 || rule.loaders.indexOf('file') >= 0)
+	{
+		return loader_kinds.url
+	}
+
+	if (rule.loaders.indexOf('css') >= 0)
+	{
+		if (rule.loaders.indexOf('style') >= 0)
+		{
+			return rule.css_modules ? loader_kinds.style_modules : loader_kinds.style
+		}
+
+		// (extracted styles without "CSS modules" feature
+		//  have no server-side value)
+		if (rule.css_modules)
+		{
+			return loader_kinds.extracted_style_modules
+		}
+	}
+}
+
+// extracts file extensions from a rule `test`
+// (e.g. /\.(png|jpe?g)$/ -> ['png', 'jpg', 'jpeg'])
+export function test_extensions(test)
+{
+	if (Array.isArray(test))
+	{
+		return test.reduce((extensions, test) => extensions.concat(test_extensions(test)), [])
+	}
+
+	if (!(test instanceof RegExp))
+	{
+		return []
+	}
+
+	const match = test.source.match(/\\\.(?:\((?:\?:)?([a-z0-9?|]+)\)|([a-z0-9?]+))/i)
+
+	if (!match)
+	{
+		return []
+	}
+
+	return (match[1] || match[2])
+		.split('|')
+		.reduce((extensions, extension) => extensions.concat(expand_optional_characters(extension)), [])
+}
+
+// "jpe?g" -> ["jpg", "jpeg"]
+function expand_optional_characters(extension)
+{
+	const index = extension.indexOf('?')
+
+	if (index < 0)
+	{
+		return [extension]
+	}
+
+	const before = extension.slice(0, index - 1)
+	const optional = extension[index - 1]
+	const after = extension.slice(index + 1)
+
+	return expand_optional_characters(before + after).concat(expand_optional_characters(before + optional + after))
+}
+
+// whether a rule `test` matches a file path
+function test_matches(test, path)
+{
+	if (Array.isArray(test))
+	{
+		return test.some(test => test_matches(test, path))
+	}
+
+	if (test instanceof RegExp)
+	{
+		return test.test(path)
+	}
+
+	if (typeof test === 'function')
+	{
+		return test(path)
+	}
+
+	if (typeof test === 'string')
+	{
+		return ends_with(path, test)
+	}
+
+	return false
+}
+
+// finds the asset types for which no loader is configured at all
+export function asset_types_without_loaders(asset_types, rules)
+{
+	return Object.keys(asset_types).filter((asset_type) =>
+	{
+		return !asset_types[asset_type].extensions.some((extension) =>
+		{
+			return rules.some(rule => test_matches(rule.test, `file.${extension}`))
+		})
+	})
+}
+
+// proposes asset types for the loaded file types
+// which aren't covered by the configured asset types.
+// returns a list of `{ name, kind, extensions }`.
+export function propose_asset_types(asset_types, rules)
+{
+	let covered_extensions = []
+
+	for (let asset_type of Object.keys(asset_types))
+	{
+		covered_extensions = covered_extensions.concat(asset_types[asset_type].extensions)
+	}
+
+	const names = Object.keys(asset_types)
+
+	const proposed = []
+
+	for (let rule of rules)
+	{
+		const kind = rule_kind(rule)
+
+		if (!kind)
+		{
+			continue
+		}
+
+		const extensions = test_extensions(rule.test).filter(extension => covered_extensions.indexOf(extension) < 0)
+
+		if (extensions.length === 0)
+		{
+			continue
+		}
+
+		covered_extensions = covered_extensions.concat(extensions)
+
+		const name = unique_name(asset_type_name(kind, extensions), names)
+
+		names.push(name)
+
+		proposed.push({ name, kind, extensions })
+	}
+
+	return proposed
+}
+
+function asset_type_name(kind, extensions)
+{
+	switch (kind)
+	{
+		case loader_kinds.url:
+			if (extensions.every(extension => image_extensions.indexOf(extension) >= 0))
+			{
+				return 'images'
+			}
+			if (extensions.every(extension => font_extensions.indexOf(extension) >= 0))
+			{
+				return 'fonts'
+			}
+			return extensions[0]
+
+		case loader_kinds.style:
+			return 'styles'
+
+		default:
+			return 'style_modules'
+	}
+}
+
+// "images" -> "images_2" (if "images" is taken)
+function unique_name(name, names)
+{
+	let unique = name
+	let counter = 2
+
+	while (names.indexOf(unique) >= 0)
+	{
+		unique = `${name}_${counter}`
+		counter++
+	}
+
+	return unique
+}
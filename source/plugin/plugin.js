@@ -1,13 +1,19 @@
 import path from 'path'
+import fs   from 'fs'
 
-import write_assets  from './write assets'
+import write_assets, { write_webpack_assets_file, extract_path } from './write assets'
 import notify_stats  from './notify stats'
+import write_options_file from './write options'
+import { loader_rules, loader_kinds, asset_types_without_loaders, propose_asset_types } from './loaders'
 
 import Log from './../tools/log'
+import { start_event_stream, send_event } from './../tools/event stream'
 
 import { exists, clone, convert_from_camel_case, alias_properties_with_camel_case } from './../helpers'
+import * as errors from './../errors'
 
-import { default_webpack_assets, normalize_options, verbosity_levels } from './../common'
+import { default_webpack_assets, compiler_file_path, uniform_path, javascript_extensions } from './../common'
+import { normalize_options, apply_resolve_settings, options_reference, verbosity_levels, multi_compiler_manifest_modes, derive_asset_types_modes } from './../options'
 
 // a Webpack plugin
 export default function Webpack_isomorphic_tools_plugin(options)
@@ -21,6 +27,10 @@ export default function Webpack_isomorphic_tools_plugin(options)
 	// logging
 	this.log = new Log('webpack-isomorphic-tools/plugin', { debug: this.options.debug })
 
+	// the server-side instances subscribed to Webpack build events
+	// (in development mode when `port` is set)
+	this.event_stream_clients = []
+
 	// assets regular expressions (based on extensions).
 	// will be used in loaders and in write_assets
 	this.regular_expressions = {}
@@ -49,21 +59,59 @@ Webpack_isomorphic_tools_plugin.prototype.start_dev_server = function()
 			return response.status(404).send('Webpack assets not generated yet')
 		}
 
+		// the server-side instance only re-downloads
+		// webpack assets when the Webpack build changes
+		// (`express` responds with "304 Not Modified" when `ETag` matches)
+		if (this.build_hash)
+		{
+			response.set('ETag', `"${this.build_hash}"`)
+		}
+
 		response.send(this.assets)
 	})
 
+	// pushes "build started", "build finished" and "build failed"
+	// notifications to the connected server-side instances
+	app.get('/events', (request, response) =>
+	{
+		start_event_stream(response)
+
+		this.event_stream_clients.push(response)
+
+		// the newly connected server-side instance
+		// may go on with the current Webpack build
+		if (this.assets)
+		{
+			send_event(response, 'build-finished', { hash: this.build_hash })
+		}
+
+		request.on('close', () =>
+		{
+			this.event_stream_clients.splice(this.event_stream_clients.indexOf(response), 1)
+		})
+	})
+
 	app.listen(this.options.port, () =>
 	{
 		this.log.info(`HTTP service listening on port ${this.options.port}`)
 	})
 }
 
+// notifies the connected server-side instances about a Webpack build event
+Webpack_isomorphic_tools_plugin.prototype.notify = function(event, data)
+{
+	for (let response of this.event_stream_clients)
+	{
+		send_event(response, event, data)
+	}
+}
+
 // creates a regular expression for this file extension (or these file extensions)
 Webpack_isomorphic_tools_plugin.prototype.regular_expression = function(asset_type)
 {
 	if (!exists(this.regular_expressions[asset_type]))
 	{
-		throw new Error(`There's no asset type "${asset_type}" defined in webpack-isomorphic-tools configuration. Perhaps you didn't spell it correctly.`)
+		throw new errors.configuration_error(`There's no asset type "${asset_type}" defined in webpack-isomorphic-tools configuration. Perhaps you didn't spell it correctly.`)
 	}
 
 	return this.regular_expressions[asset_type]
@@ -77,7 +125,7 @@ Webpack_isomorphic_tools_plugin.regular_expression = function(extensions)
 {
 	if (!Array.isArray(extensions))
 	{
-		throw new Error(`You were expected to pass a list of extensions (an array). Instead got: ${extensions}. Maybe you were looking for the instance method istead of the class method of this plugin?`)
+		throw new errors.configuration_error(`You were expected to pass a list of extensions (an array). Instead got: ${extensions}. Maybe you were looking for the instance method istead of the class method of this plugin?`)
 	}
 
 	let matcher
@@ -116,6 +164,21 @@ Webpack_isomorphic_tools_plugin.prototype.development = function(flag)
 // applies the plugin to the Webpack build
 Webpack_isomorphic_tools_plugin.prototype.apply = function(compiler)
 {
+	// Webpack `MultiCompiler` is created when
+	// an array of configurations is passed to `webpack()`
+	const compilers = compiler.compilers || [compiler]
+
+	// Webpack configuration
+	// (the first one in case of a `MultiCompiler`)
+	const webpack_configuration = compilers[0].options
+
+	// if `.development()` wasn't called then
+	// take development mode flag from Webpack 4+ `mode` setting
+	if (!exists(this.options.development) && webpack_configuration.mode)
+	{
+		this.development(webpack_configuration.mode === 'development')
+	}
+
 	// start HTTP service in development mode
 	// https://github.com/halt-hammerzeit/webpack-isomorphic-tools/issues/92
 	//
@@ -126,13 +189,19 @@ Webpack_isomorphic_tools_plugin.prototype.apply = function(compiler)
 		this.start_dev_server()
 	}
 
-	// Webpack configuration
-	const webpack_configuration = compiler.options
-
 	// validate webpack configuration
-	if (!webpack_configuration.context)
+	for (let child_compiler of compilers)
 	{
-		throw new Error('You must specify ".context" in your webpack configuration')
+		if (!child_compiler.options.context)
+		{
+			throw new errors.configuration_error('You must specify ".context" in your webpack configuration')
+		}
+	}
+
+	// compare asset types with Webpack loaders configuration
+	if (this.options.derive_asset_types)
+	{
+		this.derive_asset_types(compilers)
 	}
 
 	// project base path, required to output webpack-assets.json
@@ -144,63 +213,463 @@ Webpack_isomorphic_tools_plugin.prototype.apply = function(compiler)
 	// resolve webpack-stats.json file path
 	const webpack_stats_path = path.resolve(this.options.project_path, this.options.webpack_stats_file_path)
 
+	// capture Webpack `resolve` settings
+	// so that the server-side instance resolves modules the same way
+	// (unless `resolve` option has been configured explicitly)
+	if (!this.options.resolve && webpack_configuration.resolve)
+	{
+		this.options.resolve = resolve_settings(webpack_configuration.resolve)
+		apply_resolve_settings(this.options)
+	}
+
+	// share the options with the server-side instance
+	// (`.apply()` is only called once, and the options don't change after that)
+	if (this.options.options_file_path)
+	{
+		write_options_file(path.resolve(this.options.project_path, this.options.options_file_path), this.options, this.log)
+	}
+
+	// serve webpack assets from RAM rather than from disk
+	const serve_assets_from_memory = this.options.development && this.options.port
+
 	// selfie
 	const plugin = this
 
+	// a new build has been triggered (in watch mode)
+	on(compiler, 'invalid', function()
+	{
+		plugin.log.debug('Webpack build started')
+		plugin.notify('build-started', {})
+	})
+
+	// the build has failed with an exception
+	// (as opposed to compilation errors which are reported in stats)
+	on(compiler, 'failed', function(error)
+	{
+		plugin.log.error('Webpack build failed')
+		plugin.log.error(error)
+		plugin.notify('build-failed', { error: error && error.message })
+	})
+
 	// when all is done
 	// https://github.com/webpack/docs/wiki/plugins
-	compiler.plugin('done', function(stats)
+	on(compiler, 'done', function(stats)
 	{
 		plugin.log.debug('------------------- Started -------------------')
 
-		const json = stats.toJson
-		({
-			context: webpack_configuration.context
+		// a single compiler
+		if (!compiler.compilers)
+		{
+			// write webpack-assets.json with assets info
+			// and cache them in plugin instance
+			// for later serving from HTTP service
+			plugin.assets = assets_from_stats(plugin, stats, webpack_configuration,
+			{
+				webpack_assets_path,
+				webpack_stats_path,
+				output_to_a_file : !serve_assets_from_memory
+			})
+
+			plugin.build_finished(stats.hash)
+
+			return plugin.log.debug('------------------- Finished -------------------')
+		}
+
+		// a `MultiCompiler`:
+		// `MultiStats` hold stats for each of the compilers
+
+		const per_compiler = plugin.options.multi_compiler_manifest === multi_compiler_manifest_modes.per_compiler
+
+		// merged assets info for all the compilers
+		const output = { hash: stats.hash, compilers: {} }
+
+		// an index of per-compiler webpack-assets.json files
+		// (paths are relative to the index file)
+		const index = { compilers: {} }
+
+		compiler.compilers.forEach(function(child_compiler, i)
+		{
+			const name = compiler_name(child_compiler, i)
+
+			plugin.log.debug(`processing compiler "${name}"`)
+
+			const child_webpack_assets_path = compiler_file_path(webpack_assets_path, name)
+
+			output.compilers[name] = assets_from_stats(plugin, stats.stats[i], child_compiler.options,
+			{
+				webpack_assets_path : child_webpack_assets_path,
+				webpack_stats_path  : compiler_file_path(webpack_stats_path, name),
+				output_to_a_file    : per_compiler && !serve_assets_from_memory
+			})
+
+			index.compilers[name] = uniform_path(path.relative(path.dirname(webpack_assets_path), child_webpack_assets_path))
 		})
 
-		// output some info to the console if in development mode
-		if (plugin.options.development && plugin.options.verbosity !== verbosity_levels.no_webpack_stats)
+		// (in "per compiler" mode each compiler has already written its own file)
+		if (!serve_assets_from_memory)
 		{
-			// outputs stats info to the console
-			// (only needed in development mode)
-			notify_stats(stats, json, plugin.options.verbosity === verbosity_levels.webpack_stats_for_each_build)
+			write_webpack_assets_file(webpack_assets_path, per_compiler ? index : output,
+			{
+				development       : plugin.options.development,
+				// (the index has no chunks info)
+				split_chunks_info : plugin.options.split_chunks_info && !per_compiler
+			},
+			plugin.log)
 		}
 
-		// assets base path (on disk or on the network)
-		//
-		// (first search for the `devServer.publicPath` setting,
-		//  then fallback to the generic `publicPath`)
-		//
-		// (using `publicPath` from webpack stats here
-		//  as opposed to `webpack_configuration.output.publicPath`
-		//  because it is processed by webpack replacing things like `[hash]`)
-		//
-		const assets_base_url = (webpack_configuration.devServer && webpack_configuration.devServer.publicPath) ? webpack_configuration.devServer.publicPath : json.publicPath
+		// cache assets info in plugin instance
+		// for later serving from HTTP service
+		plugin.assets = output
 
-		// serve webpack assets from RAM rather than from disk
-		const serve_assets_from_memory = plugin.options.development && plugin.options.port
+		plugin.build_finished(stats.hash)
 
-		// write webpack-assets.json with assets info
-		// and cache them in plugin instance
-		// for later serving from HTTP service
-		plugin.assets = write_assets(json,
+		plugin.log.debug('------------------- Finished -------------------')
+	})
+}
+
+// inspects Webpack loaders configuration:
+// throws if a configured asset type has no loader at all,
+// and proposes (or generates) asset types for the loaded file types
+// which aren't covered by the configured asset types.
+Webpack_isomorphic_tools_plugin.prototype.derive_asset_types = function(compilers)
+{
+	let rules = []
+
+	for (let child_compiler of compilers)
+	{
+		rules = rules.concat(loader_rules(child_compiler.options.module))
+	}
+
+	const without_loaders = asset_types_without_loaders(this.options.assets, rules)
+
+	if (without_loaders.length > 0)
+	{
+		throw new errors.configuration_error(`No Webpack loader is configured for asset types: ${without_loaders.map(asset_type => `"${asset_type}" (${this.options.assets[asset_type].extensions.join(', ')})`).join(', ')}. Check "module.rules" in your Webpack configuration.`)
+	}
+
+	const proposed = propose_asset_types(this.options.assets, rules)
+
+	if (proposed.length === 0)
+	{
+		return this.log.debug('all the loaded file types are covered by the configured asset types')
+	}
+
+	if (this.options.derive_asset_types === derive_asset_types_modes.propose)
+	{
+		return this.log.info(`These file types are loaded by Webpack but aren't covered by the configured asset types. Proposed configuration:\n\n${proposed_configuration(proposed)}\n`)
+	}
+
+	for (let asset_type of proposed)
+	{
+		this.log.debug(`generated asset type "${asset_type.name}" (${asset_type.extensions.join(', ')})`)
+
+		const description = asset_type_description(asset_type)
+
+		this.options.assets[asset_type.name] = description
+		this.regular_expressions[asset_type.name] = Webpack_isomorphic_tools_plugin.regular_expression(description.extensions)
+	}
+}
+
+// the asset type description for a kind of loaded files
+function asset_type_description({ kind, extensions })
+{
+	switch (kind)
+	{
+		case loader_kinds.url:
+			return { extensions, parser: Webpack_isomorphic_tools_plugin.url_loader_parser }
+
+		case loader_kinds.style:
+			return {
+				extensions,
+				filter : Webpack_isomorphic_tools_plugin.style_loader_filter,
+				path   : Webpack_isomorphic_tools_plugin.style_loader_path_extractor,
+				parser : Webpack_isomorphic_tools_plugin.css_loader_parser
+			}
+
+		case loader_kinds.style_modules:
+			return {
+				extensions,
+				filter : Webpack_isomorphic_tools_plugin.style_loader_filter,
+				path   : Webpack_isomorphic_tools_plugin.style_loader_path_extractor,
+				parser : Webpack_isomorphic_tools_plugin.css_modules_loader_parser
+			}
+
+		// (only the CSS class name map is left after extracting the styles)
+		case loader_kinds.extracted_style_modules:
+			return { extensions, parser: Webpack_isomorphic_tools_plugin.url_loader_parser }
+	}
+}
+
+// outputs the proposed asset types as a piece of configuration
+function proposed_configuration(proposed)
+{
+	const lines = ['assets:', '{']
+
+	proposed.forEach((asset_type, index) =>
+	{
+		const description = asset_type_description(asset_type)
+
+		const properties = Object.keys(description).map((key) =>
 		{
-			development         : plugin.options.development,
-			debug               : plugin.options.debug,
-			assets              : plugin.options.assets,
-			alias               : plugin.options.alias,
-			project_path        : plugin.options.project_path,
-			assets_base_url,
-			webpack_assets_path : webpack_assets_path,
-			webpack_stats_path  : webpack_stats_path,
-			output              : default_webpack_assets(),
-			output_to_a_file    : !serve_assets_from_memory,
-			regular_expressions : plugin.regular_expressions
-		},
-		plugin.log)
+			if (key === 'extensions')
+			{
+				return `\t\textensions: [${description.extensions.map(extension => `'${extension}'`).join(', ')}]`
+			}
 
-		plugin.log.debug('------------------- Finished -------------------')
+			return `\t\t${key}: Webpack_isomorphic_tools_plugin.${plugin_function_name(description[key])}`
+		})
+
+		lines.push(`\t${asset_type.name}:`)
+		lines.push('\t{')
+		lines.push(properties.join(',\n'))
+		lines.push(index < proposed.length - 1 ? '\t},' : '\t}')
+	})
+
+	lines.push('}')
+
+	return lines.join('\n')
+}
+
+// finds the name of a premade plugin function
+function plugin_function_name(value)
+{
+	for (let key of Object.keys(Webpack_isomorphic_tools_plugin))
+	{
+		if (Webpack_isomorphic_tools_plugin[key] === value)
+		{
+			return key
+		}
+	}
+}
+
+// is called when the new webpack assets info is ready
+Webpack_isomorphic_tools_plugin.prototype.build_finished = function(hash)
+{
+	this.build_hash = hash
+	this.notify('build-finished', { hash })
+}
+
+// parses Webpack stats for a compiler
+// (and writes webpack-assets.json if told to)
+function assets_from_stats(plugin, stats, webpack_configuration, settings)
+{
+	const json = stats.toJson
+	({
+		context: webpack_configuration.context,
+		// module sources are needed for parsing assets
+		// (newer Webpack versions don't output them by default)
+		source: true
 	})
+
+	// output some info to the console if in development mode
+	if (plugin.options.development && plugin.options.verbosity !== verbosity_levels.no_webpack_stats)
+	{
+		// outputs stats info to the console
+		// (only needed in development mode)
+		notify_stats(stats, json, plugin.options.verbosity === verbosity_levels.webpack_stats_for_each_build)
+	}
+
+	// assets base path (on disk or on the network)
+	//
+	// (first search for the `devServer.publicPath` setting,
+	//  then fallback to the generic `publicPath`)
+	//
+	// (using `publicPath` from webpack stats here
+	//  as opposed to `webpack_configuration.output.publicPath`
+	//  because it is processed by webpack replacing things like `[hash]`)
+	//
+	const assets_base_url = (webpack_configuration.devServer && webpack_configuration.devServer.publicPath) ? webpack_configuration.devServer.publicPath : json.publicPath
+
+	return write_assets(json,
+	{
+		development         : plugin.options.development,
+		debug               : plugin.options.debug,
+		split_chunks_info   : plugin.options.split_chunks_info,
+		assets              : plugin.options.assets,
+		alias               : plugin.options.alias,
+		project_path        : webpack_configuration.context,
+		assets_base_url,
+		webpack_assets_path : settings.webpack_assets_path,
+		webpack_stats_path  : settings.webpack_stats_path,
+		output              : default_webpack_assets(),
+		output_to_a_file    : settings.output_to_a_file,
+		regular_expressions : plugin.regular_expressions,
+		output_path         : webpack_output_path(stats, webpack_configuration),
+		read_emitted_file   : emitted_file_reader(stats, webpack_configuration)
+	},
+	plugin.log)
+}
+
+// Webpack `output.path`
+function webpack_output_path(stats, webpack_configuration)
+{
+	const compilation = stats.compilation || {}
+
+	return (compilation.outputOptions && compilation.outputOptions.path)
+		|| (webpack_configuration.output && webpack_configuration.output.path)
+}
+
+// returns a function reading the contents of an emitted file
+// (e.g. for computing its integrity hash)
+function emitted_file_reader(stats, webpack_configuration)
+{
+	const compilation = stats.compilation || {}
+
+	return function(name)
+	{
+		const asset = compilation.assets && (compilation.assets[name] || compilation.assets[extract_path(name)])
+
+		if (asset)
+		{
+			// Webpack 5 discards the contents of emitted files
+			// ("Content and Map of this Source is not available")
+			try
+			{
+				return asset.source()
+			}
+			catch (error)
+			{
+				// read it from the output file system then
+			}
+		}
+
+		const output_path = webpack_output_path(stats, webpack_configuration)
+
+		if (!output_path)
+		{
+			return
+		}
+
+		// (could be an in-memory file system when using `webpack-dev-server`)
+		let file_system = compilation.compiler && compilation.compiler.outputFileSystem
+
+		if (!file_system || typeof file_system.readFileSync !== 'function')
+		{
+			file_system = fs
+		}
+
+		try
+		{
+			return file_system.readFileSync(path.join(output_path, extract_path(name)))
+		}
+		catch (error)
+		{
+			// the file wasn't emitted
+		}
+	}
+}
+
+// picks the serializable part of Webpack `resolve` configuration
+// (both Webpack 1 and Webpack 2+)
+function resolve_settings(resolve)
+{
+	const settings = {}
+
+	const alias = resolve_aliases(resolve.alias)
+
+	if (Object.keys(alias).length > 0)
+	{
+		settings.alias = alias
+	}
+
+	// Webpack 1 had `modulesDirectories` and absolute `root` paths
+	const modules = [].concat(resolve.modules || [], resolve.modulesDirectories || [], resolve.root || [])
+
+	if (modules.length > 0)
+	{
+		settings.modules = modules
+	}
+
+	// (Webpack 1 had an empty extension for exact file names)
+	const extensions = is_default_resolve_extensions(resolve.extensions) ? [] : javascript_extensions((resolve.extensions || []).filter(extension => extension))
+
+	if (extensions.length > 0)
+	{
+		settings.extensions = extensions
+	}
+
+	return settings
+}
+
+// Webpack fills in `resolve.extensions` when they're not configured,
+// and those defaults shouldn't be resolved on the server
+// (e.g. Webpack 4 "wasm" and "mjs" files aren't CommonJS modules)
+const default_resolve_extensions =
+[
+	// Webpack 1
+	['', '.webpack.js', '.web.js', '.js'],
+	// Webpack 2, 3
+	['.js', '.json'],
+	// Webpack 4
+	['.wasm', '.mjs', '.js', '.json'],
+	// Webpack 5
+	['.js', '.json', '.wasm']
+]
+
+function is_default_resolve_extensions(extensions)
+{
+	return default_resolve_extensions.some(defaults => Array.isArray(extensions) && extensions.join(',') === defaults.join(','))
+}
+
+// Webpack `resolve.alias` is either an object
+// or (Webpack 5) an array of `{ name, alias, onlyModule }`.
+// only module path aliases are supported
+// (`false` ignoring a module is not).
+function resolve_aliases(aliases = {})
+{
+	if (Array.isArray(aliases))
+	{
+		return aliases.reduce((result, { name, alias, onlyModule }) =>
+		{
+			return add_alias(result, onlyModule ? name + '$' : name, alias)
+		},
+		{})
+	}
+
+	return Object.keys(aliases).reduce((result, name) => add_alias(result, name, aliases[name]), {})
+}
+
+function add_alias(aliases, name, alias)
+{
+	// (multiple alias paths are tried in order by Webpack 5)
+	if (Array.isArray(alias))
+	{
+		alias = alias[0]
+	}
+
+	if (typeof alias === 'string')
+	{
+		aliases[name] = alias
+	}
+
+	return aliases
+}
+
+// `MultiCompiler` child compilers are named
+// by the `name` setting of their Webpack configuration
+// (falling back to their index)
+function compiler_name(compiler, index)
+{
+	return compiler.name || compiler.options.name || String(index)
+}
+
+// subscribes to a Webpack compiler event
+// using either the tapable `compiler.hooks` API (Webpack 4+)
+// or the legacy `compiler.plugin()` API (Webpack 1 - 3)
+function on(compiler, event, listener)
+{
+	if (compiler.hooks)
+	{
+		// (e.g. `MultiCompiler` has no "failed" hook)
+		if (compiler.hooks[event])
+		{
+			compiler.hooks[event].tap('webpack-isomorphic-tools', listener)
+		}
+
+		return
+	}
+
+	compiler.plugin(event, listener)
 }
 
 // a sample module source parser for webpack url-loader
@@ -262,6 +731,15 @@ Webpack_isomorphic_tools_plugin.style_loader_path_extractor = function(module, o
 	return module.name.slice(module.name.lastIndexOf('!') + 1)
 }
 
+// returns a printable reference of all the configuration options
+Webpack_isomorphic_tools_plugin.options_reference = options_reference
+
+// error classes (e.g. `Webpack_isomorphic_tools_plugin.configuration_error`)
+for (let error_class of Object.keys(errors))
+{
+	Webpack_isomorphic_tools_plugin[error_class] = errors[error_class]
+}
+
 // Doesn't work with Babel 6 compiler
 // // alias camel case for those who prefer it
 // alias_properties_with_camel_case(Webpack_isomorphic_tools_plugin.prototype)
@@ -276,3 +754,4 @@ Webpack_isomorphic_tools_plugin.cssLoaderParser          = Webpack_isomorphic_to
 Webpack_isomorphic_tools_plugin.cssModulesLoaderParser   = Webpack_isomorphic_tools_plugin.css_modules_loader_parser
 Webpack_isomorphic_tools_plugin.styleLoaderFilter        = Webpack_isomorphic_tools_plugin.style_loader_filter
 Webpack_isomorphic_tools_plugin.styleLoaderPathExtractor = Webpack_isomorphic_tools_plugin.style_loader_path_extractor
+Webpack_isomorphic_tools_plugin.optionsReference         = Webpack_isomorphic_tools_plugin.options_reference
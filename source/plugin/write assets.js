@@ -1,10 +1,13 @@
 import fs     from 'fs-extra'
 import path   from 'path'
+import crypto from 'crypto'
 import require_hacker from 'require-hacker'
 import serialize      from '../tools/serialize-javascript'
+import write_file_atomically from '../tools/atomic write'
 
 import { exists, clone, replace_all, starts_with, last } from '../helpers'
-import { alias_hook, uniform_path } from '../common'
+import { alias_hook, uniform_path, chunks_info_file_path, split_chunks_info, manifest_format_version } from '../common'
+import { ambiguous_module_error, asset_compilation_error } from '../errors'
 
 // writes webpack-assets.json file, which contains assets' file paths
 export default function write_assets(json, options, log)
@@ -38,46 +41,31 @@ export default function write_assets(json, options, log)
 	// the output object with assets
 	const output = options.output
 
+	// (so that the server could tell whether it can read this file)
+	output.format_version = manifest_format_version
+
+	// Webpack build hash
+	// (so that the server could tell one build from another)
+	output.hash = json.hash
+
+	// Webpack `output.path` (relative to the project folder)
+	// (so that the server could check that the emitted files are in place)
+	if (options.output_path)
+	{
+		output.output_path = uniform_path(path.relative(options.project_path, options.output_path))
+	}
+
+	// Webpack `output.publicPath`
+	// (for `__webpack_public_path__` on the server side)
+	output.public_path = options.assets_base_url
+
 	// populate the output object with assets
 	populate_assets(output, json, options, log)
 
 	// write webpack assets info file
 	if (options.output_to_a_file)
 	{
-		// format the JSON for better readability if in debug mode
-		const assets_info = development ? JSON.stringify(output, null, 2) : JSON.stringify(output)
-
-		// rewrite `webpack-assets.json`
-		let rewrite = true
-
-		// for `webpack-assets.json` caching to work
-		// chunks info should be moved out of it,
-		// otherwise chunk hashsums constantly change,
-		// and there won't be any caching.
-		//
-		// const assets_buffer = Buffer.from(assets_info)
-		//
-		// // if webpack-assets.json already exists,
-		// // then maybe no need to rewrite it
-		// if (fs.existsSync(options.webpack_assets_path))
-		// {
-		// 	// previously written webpack-assets.json
-		// 	const previous_assets_buffer = fs.readFileSync(options.webpack_assets_path)
-		//
-		// 	// if webpack-assets.json rewrite is not needed, then don't do it
-		// 	if (assets_buffer.equals(previous_assets_buffer))
-		// 	{
-		// 		rewrite = false
-		// 	}
-		// }
-
-		// if webpack-assets.json rewrite is needed, then do it
-		if (rewrite)
-		{
-			log.debug(`writing webpack assets info to ${options.webpack_assets_path}`)
-			// write the file
-			fs.outputFileSync(options.webpack_assets_path, assets_info)
-		}
+		write_webpack_assets_file(options.webpack_assets_path, output, options, log)
 	}
 	else
 	{
@@ -89,6 +77,54 @@ export default function write_assets(json, options, log)
 	return output
 }
 
+// writes webpack-assets.json file
+// (and the chunks info file if `split_chunks_info` option is set)
+export function write_webpack_assets_file(webpack_assets_path, output, options, log)
+{
+	let assets = output
+
+	// chunks info changes on every build,
+	// so it's written to a separate file,
+	// and webpack-assets.json is only rewritten when the assets change
+	// (so that the server doesn't have to re-read all the assets after every build)
+	if (options.split_chunks_info)
+	{
+		const parts = split_chunks_info(output)
+
+		const chunks_info_path = chunks_info_file_path(webpack_assets_path)
+
+		// (the path is relative to webpack-assets.json)
+		assets = parts.assets
+		assets.chunks_info = uniform_path(path.basename(chunks_info_path))
+
+		// chunks info is written first
+		// so that it's already there by the time webpack-assets.json is read
+		write_json_file(chunks_info_path, parts.chunks_info, options.development, log)
+	}
+
+	write_json_file(webpack_assets_path, assets, options.development, log)
+}
+
+// writes a JSON file (unless it hasn't changed)
+function write_json_file(file_path, data, development, log)
+{
+	// format the JSON for better readability if in debug mode
+	const contents = development ? JSON.stringify(data, null, 2) : JSON.stringify(data)
+
+	// if the file already exists,
+	// then maybe no need to rewrite it
+	if (fs.existsSync(file_path) && fs.readFileSync(file_path, 'utf8') === contents)
+	{
+		log.debug(`${file_path} hasn't changed`)
+		return
+	}
+
+	log.debug(`writing webpack assets info to ${file_path}`)
+
+	// (the server may be reading this file at the same time)
+	write_file_atomically(file_path, contents)
+}
+
 // populates the output object with assets
 function populate_assets(output, json, options, log)
 {
@@ -120,18 +156,24 @@ function populate_assets(output, json, options, log)
 		}
 	})
 
+	// list every file of each chunk by type
+	// (`javascript` and `styles` above only get the first one)
+	populate_chunks(output, json, options, log)
+
+	// list the files of each entrypoint in the order they should be loaded
+	populate_entrypoints(output, json, options, log)
+
+	// compute Subresource Integrity hashes for the emitted files
+	populate_integrity(output, json, options, log)
+
+	// record `require.context()` modules
+	// so that the server side gets the same keys
+	populate_contexts(output, json, options, log)
+
 	// gets asset paths by name and extension of their chunk
 	function get_assets(name, extension = 'js')
 	{
-		let chunk = json.assetsByChunkName[name]
-
-		// a chunk could be a string or an array, so make sure it is an array
-		if (!(Array.isArray(chunk)))
-		{
-			chunk = [chunk]
-		}
-
-		return chunk
+		return chunk_files(json, name)
 			// filter by extension
 			.filter(name => path.extname(extract_path(name)) === `.${extension}`)
 			// adjust the real path (can be http, filesystem)
@@ -340,7 +382,7 @@ function populate_assets(output, json, options, log)
 
 			const fail = () =>
 			{
-				throw new Error(`More than a single candidate module was found in webpack stats for require()d path "${required_path}". Enable "debug: true" flag in webpack-isomorphic-tools configuration for more info.`)
+				throw new ambiguous_module_error(`More than a single candidate module was found in webpack stats for require()d path "${required_path}". Enable "debug: true" flag in webpack-isomorphic-tools configuration for more info.`, { required_path })
 			}
 
 			// https://webpack.github.io/docs/loaders.html
@@ -440,6 +482,245 @@ function populate_assets(output, json, options, log)
 	log.debug(` time taken: ${new Date().getTime() - began_at} ms`)
 }
 
+// populates the output object with every file of each chunk, by type
+// (e.g. a chunk may output several javascript files, or source maps)
+function populate_chunks(output, json, options, log)
+{
+	output.chunks = {}
+
+	for (let name of Object.keys(json.assetsByChunkName))
+	{
+		const files =
+		{
+			javascript  : [],
+			styles      : [],
+			source_maps : [],
+			other       : []
+		}
+
+		for (let file of chunk_files(json, name))
+		{
+			files[chunk_file_type(file)].push(options.assets_base_url + file)
+		}
+
+		log.debug(`chunk "${name}" files:`, files)
+
+		output.chunks[name] = files
+	}
+}
+
+// populates the output object with javascript and style files of each entrypoint
+// in the order they should be loaded (e.g. runtime, then vendor, then the entry itself)
+function populate_entrypoints(output, json, options, log)
+{
+	output.entrypoints = {}
+
+	// Webpack 1 doesn't output entrypoints in stats
+	if (!json.entrypoints)
+	{
+		log.debug(`no entrypoints found in webpack stats`)
+		return
+	}
+
+	for (let name of Object.keys(json.entrypoints))
+	{
+		const files =
+		{
+			javascript : [],
+			styles     : []
+		}
+
+		for (let asset of json.entrypoints[name].assets)
+		{
+			// Webpack 5 outputs `{ name, size }` objects
+			const file = typeof asset === 'string' ? asset : asset.name
+
+			const type = chunk_file_type(file)
+
+			if (type === 'javascript' || type === 'styles')
+			{
+				files[type].push(options.assets_base_url + file)
+			}
+		}
+
+		log.debug(`entrypoint "${name}" files:`, files)
+
+		output.entrypoints[name] = files
+	}
+}
+
+// populates the output object with Subresource Integrity hashes
+// for each emitted file (by file URL)
+// https://developer.mozilla.org/en-US/docs/Web/Security/Subresource_Integrity
+function populate_integrity(output, json, options, log)
+{
+	output.integrity = {}
+
+	if (!options.read_emitted_file)
+	{
+		return
+	}
+
+	// all emitted files
+	// (chunk files are also listed in case Webpack omits some assets from stats)
+	let files = (json.assets || []).map(asset => asset.name)
+
+	for (let name of Object.keys(json.assetsByChunkName))
+	{
+		files = files.concat(chunk_files(json, name).filter(file => files.indexOf(file) < 0))
+	}
+
+	for (let file of files)
+	{
+		const contents = options.read_emitted_file(file)
+
+		if (!exists(contents))
+		{
+			log.debug(`couldn't read "${file}" for computing its integrity hash`)
+			continue
+		}
+
+		output.integrity[options.assets_base_url + file] = 'sha384-' + crypto.createHash('sha384').update(contents).digest('base64')
+	}
+}
+
+// populates the output object with Webpack "context modules"
+// (created by `require.context()` calls):
+// their directory, `recursive` flag, regular expression
+// and the keys they resolve (mapped to module paths)
+function populate_contexts(output, json, options, log)
+{
+	output.contexts = {}
+
+	for (let module of json.modules)
+	{
+		for (let reason of module.reasons || [])
+		{
+			// each module of a context module has a "context element" reason
+			// with the context module name and the key
+			if (reason.type !== 'context element' || !reason.moduleName)
+			{
+				continue
+			}
+
+			if (!output.contexts[reason.moduleName])
+			{
+				const context = parse_context_module_name(reason.moduleName)
+
+				if (!context)
+				{
+					log.debug(`couldn't parse context module name "${reason.moduleName}"`)
+					continue
+				}
+
+				context.keys = {}
+
+				output.contexts[reason.moduleName] = context
+			}
+
+			// (the module name may contain inline loaders and a query)
+			output.contexts[reason.moduleName].keys[reason.userRequest] = extract_path(last(module.name.split('!')))
+		}
+	}
+}
+
+// Webpack context module modes
+// (`require.context()` is "sync", `import()` with an expression is "lazy", etc)
+const context_module_modes = ['sync', 'async', 'eager', 'weak', 'async-weak', 'lazy', 'lazy-once']
+
+// parses a context module name,
+// e.g. "./pages sync recursive ^\.\/.*\.js$" (Webpack 4+)
+// or "./pages nonrecursive ^\.\/.*\.js$" (Webpack 1 - 3).
+//
+// it's parsed from the end because the directory may have spaces in it
+// (while the regular expression is assumed not to).
+//
+export function parse_context_module_name(name)
+{
+	const parts = name.split(' ')
+
+	// Webpack 5 escapes "!" and "|" in the regular expression
+	const regular_expression = parts.pop().replace(/%21/g, '!').replace(/%7C/g, '|')
+
+	// Webpack 4+ says "recursive" for recursive context modules,
+	// while Webpack 1 - 3 say "nonrecursive" for non-recursive ones
+	// and say nothing otherwise.
+	let recursive
+
+	if (last(parts) === 'recursive' || last(parts) === 'nonrecursive')
+	{
+		recursive = parts.pop() === 'recursive'
+	}
+
+	let mode
+
+	if (context_module_modes.indexOf(last(parts)) >= 0)
+	{
+		mode = parts.pop()
+	}
+
+	// (Webpack 4+ always specifies the mode, and `require.context()` is "sync")
+	if (!exists(recursive))
+	{
+		recursive = mode !== 'sync'
+	}
+
+	// the directory
+	// (Webpack 5 appends a trailing slash)
+	const directory = parts.join(' ').replace(/(.)\/$/, '$1')
+
+	if (!directory)
+	{
+		return
+	}
+
+	return { directory, recursive, regular_expression }
+}
+
+// gets all file names of a chunk
+function chunk_files(json, name)
+{
+	let files = json.assetsByChunkName[name]
+
+	// a chunk could be a string or an array, so make sure it is an array
+	if (!(Array.isArray(files)))
+	{
+		files = [files]
+	}
+
+	// Webpack 5 doesn't list source maps in `assetsByChunkName`,
+	// they're listed as chunk "auxiliary files" instead
+	for (let chunk of json.chunks || [])
+	{
+		if (chunk.names && chunk.names.indexOf(name) >= 0 && chunk.auxiliaryFiles)
+		{
+			files = files.concat(chunk.auxiliaryFiles.filter(file => files.indexOf(file) < 0))
+		}
+	}
+
+	return files
+}
+
+// tells a chunk file type by its extension
+function chunk_file_type(file)
+{
+	switch (path.extname(extract_path(file)))
+	{
+		case '.js':
+		case '.mjs':
+			return 'javascript'
+
+		case '.css':
+			return 'styles'
+
+		case '.map':
+			return 'source_maps'
+
+		default:
+			return 'other'
+	}
+}
+
 function safe_require(path, log)
 {
 	try
@@ -448,7 +729,7 @@ function safe_require(path, log)
 	}
 	catch (error)
 	{
-		log.error(error)
+		log.error(new asset_compilation_error(`Couldn't compile asset "${path}": ${error.message}`, { asset_path: path, cause: error }))
 		return undefined
 	}
 }
@@ -0,0 +1,68 @@
+import fs from 'fs'
+
+import serialize             from '../tools/serialize-javascript'
+import write_file_atomically from '../tools/atomic write'
+
+import { clone } from '../helpers'
+
+// options which are set by the plugin itself
+// (rather than configured)
+const runtime_options = ['development', 'project_path', 'derive_asset_types']
+
+// asset type settings which are only used by the plugin
+// (these functions often reference variables from the configuration file
+//  so they wouldn't work after being serialized anyway)
+const plugin_only_asset_type_settings = ['filter', 'path', 'parser', 'regular_expression']
+
+// writes the plugin's normalized options to a javascript file
+// (functions and regular expressions included)
+// so that the server-side instance could be constructed from it
+export default function write_options_file(options_file_path, options, log)
+{
+	const contents =
+		'// Generated by webpack-isomorphic-tools plugin.\n' +
+		'// Is overwritten on every Webpack build.\n' +
+		'module.exports = ' + serialize(server_side_options(options)) + '\n'
+
+	// if the file already exists,
+	// then maybe no need to rewrite it
+	if (fs.existsSync(options_file_path) && fs.readFileSync(options_file_path, 'utf8') === contents)
+	{
+		log.debug(`${options_file_path} hasn't changed`)
+		return
+	}
+
+	log.debug(`writing webpack-isomorphic-tools options to ${options_file_path}`)
+
+	write_file_atomically(options_file_path, contents)
+}
+
+// leaves only the options relevant for the server-side instance
+export function server_side_options(options)
+{
+	const result = {}
+
+	for (let key of Object.keys(options))
+	{
+		if (runtime_options.indexOf(key) < 0)
+		{
+			result[key] = options[key]
+		}
+	}
+
+	result.assets = {}
+
+	for (let asset_type of Object.keys(options.assets))
+	{
+		const description = clone(options.assets[asset_type])
+
+		for (let setting of plugin_only_asset_type_settings)
+		{
+			delete description[setting]
+		}
+
+		result.assets[asset_type] = description
+	}
+
+	return result
+}
@@ -0,0 +1,38 @@
+import http from 'http'
+
+import { manifest_unavailable_error } from '../errors'
+
+// fetches JSON over HTTP from `localhost`
+export default function http_request(port, path = '/')
+{
+	return new Promise((resolve, reject) =>
+	{
+		// "0.0.0.0" won't work on Windows
+		// (Error: connect EADDRNOTAVAIL 0.0.0.0:9999)
+		const request = http.get({ host: '127.0.0.1', port, path }, (response) =>
+		{
+			let body = ''
+
+			response.setEncoding('utf8')
+			response.on('data', chunk => body += chunk)
+			response.on('end', () =>
+			{
+				if (response.statusCode !== 200)
+				{
+					return reject(new manifest_unavailable_error(response.statusCode + ' ' + body, { status: response.statusCode }))
+				}
+
+				try
+				{
+					resolve(JSON.parse(body))
+				}
+				catch (error)
+				{
+					reject(error)
+				}
+			})
+		})
+
+		request.on('error', reject)
+	})
+}
@@ -0,0 +1,29 @@
+import fs   from 'fs-extra'
+import path from 'path'
+
+// writes a file so that nobody could ever read it half-written:
+// the contents are written to a temporary file
+// which is then renamed (which is atomic) into place.
+export default function write_file_atomically(file_path, contents)
+{
+	fs.mkdirsSync(path.dirname(file_path))
+
+	// (the temporary file is in the same folder
+	//  because renaming across file systems isn't atomic)
+	const temporary_file_path = `${file_path}.${process.pid}.tmp`
+
+	try
+	{
+		fs.writeFileSync(temporary_file_path, contents)
+		fs.renameSync(temporary_file_path, file_path)
+	}
+	catch (error)
+	{
+		if (fs.existsSync(temporary_file_path))
+		{
+			fs.unlinkSync(temporary_file_path)
+		}
+
+		throw error
+	}
+}
@@ -0,0 +1,176 @@
+import { parse } from '@babel/parser'
+
+// rewrites dynamic `import(...)` calls and Webpack 2 `System.import(...)` calls
+// in javascript `source` so that they call the given functions instead:
+//
+//  * `import(...)` -> `${replacements.import}(...)`
+//  * `System.import(...)` -> `${replacements.System}.import(...)`
+//    (along with `typeof System` checks in such files)
+//
+// (only the keys present in `replacements` are rewritten)
+//
+// The source is parsed (rather than searched for "import(")
+// so that methods named "import", strings, template literals
+// and comments are left as they are.
+//
+// Replacement names must have the same length as the original ones
+// so that line and column numbers of the original code stay the same.
+//
+// `System.import()` isn't rewritten if `System` is declared in the file.
+//
+// Returns `{ source, rewritten }` where `rewritten` lists
+// which of the `replacements` keys have been rewritten.
+// Throws if the source can't be parsed.
+//
+export default function rewrite_dynamic_imports(source, replacements)
+{
+	for (let name of Object.keys(replacements))
+	{
+		if (replacements[name].length !== name.length)
+		{
+			throw new Error(`"${replacements[name]}" must have the same length as "${name}"`)
+		}
+	}
+
+	const ast = parse(source,
+	{
+		// (both CommonJS modules and ES modules)
+		sourceType                 : 'unambiguous',
+		allowReturnOutsideFunction : true,
+		allowAwaitOutsideFunction  : true,
+		plugins                    : ['jsx']
+	})
+
+	// positions of the names to be replaced, by name
+	const found = { import: [], System: [] }
+
+	// `typeof System` positions
+	const system_checks = []
+
+	let system_declared = false
+
+	walk(ast.program, (node) =>
+	{
+		if (node.type === 'CallExpression')
+		{
+			// `import(...)`
+			if (node.callee.type === 'Import')
+			{
+				found.import.push(node.callee.start)
+			}
+			// `System.import(...)`
+			else if (node.callee.type === 'MemberExpression'
+				&& !node.callee.computed
+				&& node.callee.object.type === 'Identifier'
+				&& node.callee.object.name === 'System'
+				&& node.callee.property.type === 'Identifier'
+				&& node.callee.property.name === 'import')
+			{
+				found.System.push(node.callee.object.start)
+			}
+		}
+		// `typeof System`
+		else if (node.type === 'UnaryExpression'
+			&& node.operator === 'typeof'
+			&& node.argument.type === 'Identifier'
+			&& node.argument.name === 'System')
+		{
+			system_checks.push(node.argument.start)
+		}
+
+		if (declared_names(node).indexOf('System') >= 0)
+		{
+			system_declared = true
+		}
+	})
+
+	// (`System` is not the Webpack one then)
+	if (system_declared)
+	{
+		found.System = []
+	}
+
+	if (found.System.length > 0)
+	{
+		found.System = found.System.concat(system_checks)
+	}
+
+	const rewritten = Object.keys(replacements).filter(name => found[name].length > 0)
+
+	for (let name of rewritten)
+	{
+		for (let position of found[name])
+		{
+			source = source.slice(0, position) + replacements[name] + source.slice(position + name.length)
+		}
+	}
+
+	return { source, rewritten }
+}
+
+// the names a node declares (if any)
+// (destructuring patterns aren't looked into)
+function declared_names(node)
+{
+	const identifiers = []
+
+	switch (node.type)
+	{
+		case 'VariableDeclarator':
+		case 'ClassDeclaration':
+			identifiers.push(node.id)
+			break
+
+		case 'FunctionDeclaration':
+		case 'FunctionExpression':
+		case 'ArrowFunctionExpression':
+		case 'ObjectMethod':
+		case 'ClassMethod':
+			identifiers.push(node.id, ...node.params)
+			break
+
+		case 'CatchClause':
+			identifiers.push(node.param)
+			break
+
+		case 'ImportSpecifier':
+		case 'ImportDefaultSpecifier':
+		case 'ImportNamespaceSpecifier':
+			identifiers.push(node.local)
+			break
+	}
+
+	return identifiers.filter(identifier => identifier && identifier.type === 'Identifier').map(identifier => identifier.name)
+}
+
+// calls `visit(node)` for each node of the syntax tree
+function walk(node, visit)
+{
+	visit(node)
+
+	for (let key of Object.keys(node))
+	{
+		// (skip comments and location info)
+		if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments' || key === 'extra')
+		{
+			continue
+		}
+
+		const value = node[key]
+
+		if (Array.isArray(value))
+		{
+			for (let child of value)
+			{
+				if (child && typeof child.type === 'string')
+				{
+					walk(child, visit)
+				}
+			}
+		}
+		else if (value && typeof value.type === 'string')
+		{
+			walk(value, visit)
+		}
+	}
+}
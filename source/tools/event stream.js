@@ -0,0 +1,150 @@
+import http from 'http'
+
+import { exists } from '../helpers'
+
+// Server-sent events
+// https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events/Using_server-sent_events
+
+// starts an event stream for an HTTP response
+export function start_event_stream(response)
+{
+	response.writeHead(200,
+	{
+		'Content-Type'  : 'text/event-stream',
+		'Cache-Control' : 'no-cache',
+		'Connection'    : 'keep-alive'
+	})
+
+	// send the headers right away
+	response.write('\n')
+}
+
+// sends an event to an event stream
+export function send_event(response, event, data)
+{
+	response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+// parses an event stream into events.
+// `malformed(error)` is called when an event data isn't valid JSON
+// (and the rest of the stream is ignored then).
+export function event_stream_parser(listener, malformed)
+{
+	let buffer = ''
+	let failed = false
+
+	return function(chunk)
+	{
+		if (failed)
+		{
+			return
+		}
+
+		buffer += chunk
+
+		// events are separated by a blank line
+		let end = buffer.indexOf('\n\n')
+
+		while (end >= 0)
+		{
+			const message = buffer.slice(0, end)
+			buffer = buffer.slice(end + 2)
+
+			let event = 'message'
+			let data
+
+			for (let line of message.split('\n'))
+			{
+				const colon_index = line.indexOf(':')
+
+				// skip comments and blank lines
+				if (colon_index <= 0)
+				{
+					continue
+				}
+
+				const field = line.slice(0, colon_index)
+				const value = line.slice(colon_index + 1).replace(/^ /, '')
+
+				if (field === 'event')
+				{
+					event = value
+				}
+				else if (field === 'data')
+				{
+					// multiple "data" lines are joined with newlines
+					data = exists(data) ? data + '\n' + value : value
+				}
+			}
+
+			if (exists(data))
+			{
+				try
+				{
+					data = JSON.parse(data)
+				}
+				catch (error)
+				{
+					failed = true
+					return malformed(error)
+				}
+
+				listener(event, data)
+			}
+
+			end = buffer.indexOf('\n\n')
+		}
+	}
+}
+
+// subscribes to an event stream served on `localhost`.
+// `listener(event, data)` is called for each event.
+// `disconnected(error)` is called when the connection is lost (or couldn't be established).
+// returns an object having a `.close()` method.
+export function subscribe(port, path, listener, disconnected)
+{
+	let closed = false
+
+	// "0.0.0.0" won't work on Windows
+	// (Error: connect EADDRNOTAVAIL 0.0.0.0:9999)
+	const request = http.get({ host: '127.0.0.1', port, path }, (response) =>
+	{
+		if (response.statusCode !== 200)
+		{
+			response.resume()
+			return disconnect(new Error(`Server responded with status code ${response.statusCode}`))
+		}
+
+		response.setEncoding('utf8')
+		response.on('data', event_stream_parser(listener, (error) =>
+		{
+			disconnect(error)
+			request.abort()
+		}))
+		response.on('end', () => disconnect(new Error('Event stream ended')))
+	})
+
+	request.on('error', disconnect)
+
+	// don't keep Node.js process running just for this subscription
+	request.on('socket', socket => socket.unref())
+
+	function disconnect(error)
+	{
+		if (closed)
+		{
+			return
+		}
+
+		closed = true
+		disconnected(error)
+	}
+
+	return {
+		close()
+		{
+			closed = true
+			request.abort()
+		}
+	}
+}
@@ -0,0 +1,133 @@
+// inserts a (single line) `preamble` into javascript `source`
+// so that line and column numbers of the original code stay the same
+// (which keeps stack traces and source maps accurate).
+//
+// the preamble goes after a byte order mark, a shebang
+// and the "directive prologue" (e.g. "use strict"),
+// so it ends up in the beginning of the first line having code on it
+// only if the source code starts with a statement right away.
+//
+export default function insert_preamble(source, preamble)
+{
+	// (the semicolons are for the cases
+	//  when a directive or the first statement don't have one)
+	preamble = `;${preamble};`
+
+	let position = 0
+
+	// byte order mark
+	if (source.charCodeAt(position) === 0xFEFF)
+	{
+		position++
+	}
+
+	// shebang
+	if (source.slice(position, position + 2) === '#!')
+	{
+		const line_end = source.indexOf('\n', position)
+
+		if (line_end < 0)
+		{
+			return source + '\n' + preamble
+		}
+
+		position = line_end + 1
+	}
+
+	let insertion = position
+
+	// directive prologue
+	while (true)
+	{
+		const directive_end = directive(source, skip_whitespace_and_comments(source, position))
+
+		if (!directive_end)
+		{
+			break
+		}
+
+		position = insertion = directive_end
+	}
+
+	return source.slice(0, insertion) + preamble + source.slice(insertion)
+}
+
+// skips whitespace and comments starting from `position`
+function skip_whitespace_and_comments(source, position)
+{
+	while (position < source.length)
+	{
+		if (/\s/.test(source[position]))
+		{
+			position++
+		}
+		else if (source.slice(position, position + 2) === '//')
+		{
+			const line_end = source.indexOf('\n', position)
+			position = line_end < 0 ? source.length : line_end
+		}
+		else if (source.slice(position, position + 2) === '/*')
+		{
+			const comment_end = source.indexOf('*/', position + 2)
+			position = comment_end < 0 ? source.length : comment_end + 2
+		}
+		else
+		{
+			break
+		}
+	}
+
+	return position
+}
+
+// if there's a directive (e.g. "use strict") at `position`
+// then returns the position right after it (and its semicolon)
+function directive(source, position)
+{
+	const quote = source[position]
+
+	if (quote !== '"' && quote !== "'")
+	{
+		return
+	}
+
+	// find the closing quote
+	position++
+
+	while (position < source.length && source[position] !== quote)
+	{
+		// line breaks aren't allowed inside string literals
+		if (source[position] === '\n')
+		{
+			return
+		}
+
+		position += source[position] === '\\' ? 2 : 1
+	}
+
+	if (position >= source.length)
+	{
+		return
+	}
+
+	const string_end = position + 1
+
+	// the string literal must be a statement by itself
+	// (e.g. not `'use strict'.length` or `'a' + b`)
+	position = string_end
+
+	while (source[position] === ' ' || source[position] === '\t')
+	{
+		position++
+	}
+
+	if (source[position] === ';')
+	{
+		return position + 1
+	}
+
+	if (position === source.length || source[position] === '\n' || source[position] === '\r' || source.slice(position, position + 2) === '//' || source.slice(position, position + 2) === '/*')
+	{
+		return string_end
+	}
+}
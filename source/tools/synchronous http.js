@@ -1,19 +1,47 @@
 import request from 'sync-request'
 
+import { manifest_unavailable_error } from '../errors'
+
+// the previously fetched data (by port)
+// along with its `ETag` for conditional requests
+const cache = {}
+
 export default function http_request(port)
 {
+	const cached = cache[port]
+
+	const headers = {}
+
+	// the server responds with "304 Not Modified"
+	// if the data hasn't changed since the previous request
+	if (cached)
+	{
+		headers['If-None-Match'] = cached.etag
+	}
+
 	// "0.0.0.0" won't work on Windows
 	// (Error: connect EADDRNOTAVAIL 0.0.0.0:9999)
-	const response = request('GET', `http://127.0.0.1:${port}`, { timeout: 1000, socketTimeout: 1000 })
+	const response = request('GET', `http://127.0.0.1:${port}`, { timeout: 1000, socketTimeout: 1000, headers })
+
+	// the data hasn't changed, so reuse the previously fetched one
+	if (response.statusCode === 304 && cached)
+	{
+		return cached.data
+	}
 
 	// status codes 4xx have been already thrown before this line.
 	// not sure about other status codes, so just in case:
 	if (response.statusCode !== 200)
 	{
-		const error = new Error(response.statusCode + ' ' + response.getBody('utf8'))
-		error.code = response.statusCode
-		throw error
+		throw new manifest_unavailable_error(response.statusCode + ' ' + response.getBody('utf8'), { status: response.statusCode })
+	}
+
+	const data = JSON.parse(response.getBody('utf8'))
+
+	if (response.headers.etag)
+	{
+		cache[port] = { etag: response.headers.etag, data }
 	}
 
-	return JSON.parse(response.getBody('utf8'))
-}
\ No newline at end of file
+	return data
+}
@@ -0,0 +1,142 @@
+import fs   from 'fs'
+import path from 'path'
+
+// groups bursts of filesystem events
+// (a single file write usually results in several events)
+const debounce_interval = 50 // in milliseconds
+
+// how often to check for the watched directory to be created
+const directory_check_interval = 300 // in milliseconds
+
+// watches files in a directory for changes (including their creation).
+// `matches(file_name)` tells which files of this directory to watch.
+// `listener()` is called when any of the watched files changes.
+// returns an object having a `.close()` method.
+export default function watch_files(directory, matches, listener)
+{
+	let watcher
+	let directory_check_timer
+	let debounce_timer
+
+	let closed = false
+
+	// whether Node.js process should keep running just for this watcher
+	let referenced = true
+
+	const changed = () =>
+	{
+		clearTimeout(debounce_timer)
+		debounce_timer = setTimeout(listener, debounce_interval)
+	}
+
+	const watch = (waited_for_directory) =>
+	{
+		// the directory may not exist yet
+		// (e.g. if it's the Webpack output folder)
+		if (!fs.existsSync(directory))
+		{
+			directory_check_timer = setTimeout(() => watch(true), directory_check_interval)
+
+			if (!referenced)
+			{
+				directory_check_timer.unref()
+			}
+
+			return
+		}
+
+		watcher = fs.watch(directory, (event, file_name) =>
+		{
+			// the directory could have been deleted
+			if (!fs.existsSync(directory))
+			{
+				return rewatch()
+			}
+
+			// (`file_name` isn't supported on some platforms)
+			if (!file_name || matches(file_name))
+			{
+				changed()
+			}
+		})
+
+		// (e.g. the directory has been deleted or renamed on Windows)
+		watcher.on('error', rewatch)
+
+		if (!referenced)
+		{
+			unref(watcher)
+		}
+
+		// the watched files could have been created
+		// while waiting for the directory to be created
+		if (waited_for_directory && fs.readdirSync(directory).some(matches))
+		{
+			changed()
+		}
+	}
+
+	// when the watched directory is deleted (e.g. `rm -rf build` before a rebuild)
+	// waits for it to be created again
+	const rewatch = () =>
+	{
+		if (closed || !watcher)
+		{
+			return
+		}
+
+		watcher.close()
+		watcher = undefined
+
+		watch(true)
+	}
+
+	watch()
+
+	return {
+		close()
+		{
+			if (closed)
+			{
+				return
+			}
+
+			closed = true
+
+			clearTimeout(directory_check_timer)
+			clearTimeout(debounce_timer)
+
+			if (watcher)
+			{
+				watcher.close()
+			}
+		},
+
+		// don't keep Node.js process running just for this watcher
+		unref()
+		{
+			referenced = false
+
+			if (watcher)
+			{
+				unref(watcher)
+			}
+
+			if (directory_check_timer)
+			{
+				directory_check_timer.unref()
+			}
+
+			return this
+		}
+	}
+}
+
+// `fs.FSWatcher.unref()` is only available in newer Node.js versions
+function unref(watcher)
+{
+	if (watcher.unref)
+	{
+		watcher.unref()
+	}
+}
@@ -0,0 +1,100 @@
+import path from 'path'
+import fs   from 'fs'
+
+import { exists, is_object } from './helpers'
+import { manifest_format_version } from './common'
+
+// checks that webpack-assets.json is intact:
+//
+//  * it's of a known format version
+//  * chunk files exist in Webpack `output.path` (when served locally)
+//  * asset values are well-formed
+//
+// returns a list of problems found: `{ path, message }`
+// (`path` is the path of the offending value inside webpack-assets.json).
+// problems having `warning: true` don't mean that webpack-assets.json is broken.
+//
+export default function verify_manifest(webpack_assets, project_path)
+{
+	const problems = []
+
+	const problem = (path, message) => problems.push({ path, message: `"${path}" ${message}` })
+
+	// (webpack-assets.json written by an older version of the plugin is still readable)
+	if (!exists(webpack_assets.format_version))
+	{
+		problems.push
+		({
+			path    : 'format_version',
+			message : `"format_version" is missing (webpack-assets.json was written by an older version of webpack-isomorphic-tools plugin, format version ${manifest_format_version} is expected)`,
+			warning : true
+		})
+	}
+	else if (webpack_assets.format_version !== manifest_format_version)
+	{
+		problem('format_version', `is ${webpack_assets.format_version} while format version ${manifest_format_version} is expected`)
+	}
+
+	for (let section of ['javascript', 'styles'])
+	{
+		for (let name of Object.keys(webpack_assets[section] || {}))
+		{
+			const url = webpack_assets[section][name]
+
+			if (typeof url !== 'string' || !url)
+			{
+				problem(`${section}.${name}`, 'must be a file URL')
+				continue
+			}
+
+			const file_path = local_file_path(url, webpack_assets, project_path)
+
+			if (file_path && !fs.existsSync(file_path))
+			{
+				problem(`${section}.${name}`, `file "${file_path}" not found`)
+			}
+		}
+	}
+
+	for (let asset_path of Object.keys(webpack_assets.assets || {}))
+	{
+		if (!well_formed(webpack_assets.assets[asset_path]))
+		{
+			problem(`assets.${asset_path}`, 'must be a string, a number, a boolean, an object or an array')
+		}
+	}
+
+	return problems
+}
+
+// returns a file path for a chunk file URL
+// if the file is served locally from Webpack `output.path`
+// (rather than, for example, from a CDN)
+export function local_file_path(url, webpack_assets, project_path)
+{
+	const { public_path, output_path } = webpack_assets
+
+	// (webpack-assets.json written by an older version of the plugin)
+	if (!exists(output_path) || !exists(public_path))
+	{
+		return
+	}
+
+	// served from another host
+	if (/^([a-z]+:)?\/\//i.test(public_path) || url.indexOf(public_path) !== 0)
+	{
+		return
+	}
+
+	// (a query may be used for cache busting, e.g. "main.js?hash=...")
+	const file = url.slice(public_path.length).split('?')[0]
+
+	return path.resolve(project_path, output_path, file)
+}
+
+// whether an asset value is well-formed
+// (e.g. an asset which failed to compile is `null`)
+function well_formed(value)
+{
+	return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean' || is_object(value) || Array.isArray(value)
+}
@@ -0,0 +1,251 @@
+import fs   from 'fs'
+import os   from 'os'
+import path from 'path'
+
+import chai from 'chai'
+import fs_extra from 'fs-extra'
+
+import run, { read_manifest, inspect, lookup, diff, format_size } from '../source/cli'
+
+chai.should()
+
+// (created in `before()`)
+let project_path
+
+const webpack_assets = () =>
+({
+	format_version : 1,
+	hash           : 'abc',
+	public_path    : '/assets/',
+	output_path    : './build',
+	javascript     : { main: '/assets/main.abc.js' },
+	styles         : { main: '/assets/main.abc.css' },
+	chunks         :
+	{
+		main:
+		{
+			javascript  : ['/assets/main.abc.js'],
+			styles      : ['/assets/main.abc.css'],
+			source_maps : [],
+			other       : []
+		}
+	},
+	assets :
+	{
+		'./assets/husky.jpg' : '/assets/husky.jpg',
+		'./assets/cat.jpg'   : '/assets/cat.jpg',
+		'./assets/style.css' : { locals: { header: 'header_1' } }
+	}
+})
+
+// writes a file in the project folder
+function write(file_path, contents)
+{
+	file_path = path.join(project_path, file_path)
+
+	if (!fs.existsSync(path.dirname(file_path)))
+	{
+		fs.mkdirSync(path.dirname(file_path))
+	}
+
+	fs.writeFileSync(file_path, typeof contents === 'string' ? contents : JSON.stringify(contents))
+	return file_path
+}
+
+// runs a command capturing its output
+function command(...argv)
+{
+	const output = { log: [], error: [] }
+	const exit_code = run(argv, { log: text => output.log.push(text), error: text => output.error.push(text) })
+	return { exit_code, output: output.log.join('\n'), errors: output.error.join('\n') }
+}
+
+describe('command line tool', function()
+{
+	before(function()
+	{
+		project_path = fs.mkdtempSync(path.join(os.tmpdir(), 'webpack-isomorphic-tools-'))
+
+		write('build/main.abc.js', '0123456789')
+		write('build/main.abc.css', '01234')
+		write('build/main.def.js', '0123456789012')
+	})
+
+	after(function()
+	{
+		fs_extra.removeSync(project_path)
+	})
+
+	it('should read webpack-assets.json', function()
+	{
+		const manifest_path = write('webpack-assets.json', { chunks_info: './webpack-assets.chunks-info.json', assets: { './a.png': 'a' } })
+		write('webpack-assets.chunks-info.json', { hash: 'abc' })
+
+		read_manifest(manifest_path).should.deep.equal({ hash: 'abc', assets: { './a.png': 'a' } })
+
+		// `MultiCompiler`
+		write('webpack-assets.server.json', { hash: 'def', assets: {} })
+		write('webpack-assets.json', { compilers: { client: { hash: 'abc' }, server: './webpack-assets.server.json' } })
+
+		read_manifest(manifest_path).hash.should.equal('abc')
+		read_manifest(manifest_path, 'server').hash.should.equal('def')
+
+		let thrown
+
+		try
+		{
+			read_manifest(manifest_path, 'another')
+		}
+		catch (error)
+		{
+			thrown = error
+		}
+
+		thrown.code.should.equal('CONFIGURATION_ERROR')
+		thrown.message.should.contain('Available compilers: client, server')
+	})
+
+	it('should inspect webpack-assets.json', function()
+	{
+		const result = inspect(webpack_assets(), project_path)
+
+		result.hash.should.equal('abc')
+
+		result.chunks.main.should.deep.equal
+		([
+			{ type: 'javascript', url: '/assets/main.abc.js', size: 10 },
+			{ type: 'styles', url: '/assets/main.abc.css', size: 5 }
+		])
+
+		result.assets.jpg.should.deep.equal
+		([
+			{ path: './assets/husky.jpg', size: 17 },
+			{ path: './assets/cat.jpg', size: 15 }
+		])
+
+		result.assets.css[0].size.should.equal(JSON.stringify({ locals: { header: 'header_1' } }).length)
+
+		// chunk file sizes are unknown when served from a CDN
+		const served_from_cdn = Object.assign(webpack_assets(), { public_path: 'https://cdn.example.com/' })
+		served_from_cdn.chunks.main.javascript = ['https://cdn.example.com/main.abc.js']
+
+		;(inspect(served_from_cdn, project_path).chunks.main[0].size === undefined).should.equal(true)
+	})
+
+	it('should look up assets', function()
+	{
+		lookup(webpack_assets(), path.join(project_path, 'assets/husky.jpg'), project_path).should.deep.equal
+		({
+			asset_path : './assets/husky.jpg',
+			found      : true,
+			path       : './assets/husky.jpg',
+			value      : '/assets/husky.jpg'
+		})
+
+		const result = lookup(webpack_assets(), path.join(project_path, 'assets/huskey.jpg'), project_path)
+
+		result.found.should.equal(false)
+		result.closest[0].should.equal('./assets/husky.jpg')
+	})
+
+	it('should diff webpack-assets.json files', function()
+	{
+		const from = webpack_assets()
+		const to   = webpack_assets()
+
+		diff(from, to, project_path).changed.should.equal(false)
+
+		delete to.assets['./assets/cat.jpg']
+		to.assets['./assets/dog.jpg'] = '/assets/dog.jpg'
+		to.assets['./assets/style.css'] = { locals: { header: 'header_2', footer: 'footer_1' } }
+
+		to.chunks.main.javascript = ['/assets/main.def.js']
+		to.chunks.vendor = { javascript: ['/assets/vendor.js'], styles: [], source_maps: [], other: [] }
+
+		const result = diff(from, to, project_path)
+
+		result.changed.should.equal(true)
+
+		result.assets.added.should.deep.equal([{ path: './assets/dog.jpg', size: 15 }])
+		result.assets.removed.should.deep.equal([{ path: './assets/cat.jpg', size: 15 }])
+		result.assets.changed.length.should.equal(1)
+		result.assets.changed[0].path.should.equal('./assets/style.css')
+		result.assets.changed[0].delta.should.equal(JSON.stringify(to.assets['./assets/style.css']).length - JSON.stringify(from.assets['./assets/style.css']).length)
+
+		result.chunks.added.length.should.equal(1)
+		result.chunks.added[0].name.should.equal('vendor')
+		// ("vendor.js" doesn't exist)
+		;(result.chunks.added[0].size === undefined).should.equal(true)
+
+		result.chunks.removed.length.should.equal(0)
+
+		const chunk = result.chunks.changed[0]
+
+		chunk.name.should.equal('main')
+		chunk.added_files.map(file => file.url).should.deep.equal(['/assets/main.def.js'])
+		chunk.removed_files.map(file => file.url).should.deep.equal(['/assets/main.abc.js'])
+		chunk.from_size.should.equal(15)
+		chunk.to_size.should.equal(18)
+		chunk.delta.should.equal(3)
+	})
+
+	it('should run commands', function()
+	{
+		const manifest_path = write('webpack-assets.json', webpack_assets())
+
+		const changed = webpack_assets()
+		changed.assets['./assets/dog.jpg'] = '/assets/dog.jpg'
+		const changed_manifest_path = write('webpack-assets.changed.json', changed)
+
+		let result = command('inspect', '--manifest', manifest_path)
+		result.exit_code.should.equal(0)
+		result.output.should.contain('  main (15 B)\n    /assets/main.abc.js (10 B)')
+		result.output.should.contain('  jpg (2) (32 B)\n    ./assets/husky.jpg (17 B)')
+
+		result = command('inspect', '--manifest', manifest_path, '--json')
+		JSON.parse(result.output).hash.should.equal('abc')
+
+		const current_directory = process.cwd()
+		process.chdir(project_path)
+
+		try
+		{
+			result = command('lookup', 'assets/husky.jpg')
+			result.exit_code.should.equal(0)
+			result.output.should.equal('./assets/husky.jpg\n/assets/husky.jpg')
+
+			result = command('lookup', 'assets/huskey.jpg')
+			result.exit_code.should.equal(1)
+			result.output.should.contain('Asset not found: ./assets/huskey.jpg\nThe closest ones are:\n  ./assets/husky.jpg')
+		}
+		finally
+		{
+			process.chdir(current_directory)
+		}
+
+		result = command('diff', manifest_path, manifest_path, '--exit-code')
+		result.exit_code.should.equal(0)
+		result.output.should.equal('No differences')
+
+		result = command('diff', manifest_path, changed_manifest_path)
+		result.exit_code.should.equal(0)
+		result.output.should.equal('Assets:\n  + ./assets/dog.jpg (15 B)')
+
+		command('diff', manifest_path, changed_manifest_path, '--exit-code').exit_code.should.equal(1)
+
+		result = command('inspect', '--manifest', path.join(project_path, 'nonexistent.json'))
+		result.exit_code.should.equal(2)
+		result.errors.should.contain('nonexistent.json" not found')
+
+		command('unknown').exit_code.should.equal(2)
+		command('lookup').exit_code.should.equal(2)
+		command('--help').exit_code.should.equal(0)
+	})
+
+	it('should format sizes', function()
+	{
+		format_size(100).should.equal('100 B')
+		format_size(1536).should.equal('1.5 kB')
+		format_size(3 * 1024 * 1024).should.equal('3.0 MB')
+	})
+})
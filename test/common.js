@@ -1,8 +1,12 @@
 import chai from 'chai'
-import { extend, normalize_asset_path } from './../source/common'
+import { extend, normalize_asset_path, alias, split_chunks_info, merge_chunks_info, read_webpack_assets, pick_compiler_assets, chunks_info_file_path, compiler_file_path, find_asset, asset_not_found_message, closest_asset_paths, missing_asset } from './../source/common'
 
+import fs   from 'fs'
+import os   from 'os'
 import path from 'path'
 
+import Log from '../source/tools/log'
+
 chai.should()
 
 describe('common functions', function()
@@ -15,4 +19,205 @@ describe('common functions', function()
 		// normalize_asset_path(path.join(project_folder, '../another/folder/file.txt'), project_folder).should.equal(path.join(project_folder, '../another/folder/file.txt'))
 		normalize_asset_path(path.join(project_folder, '../another/folder/file.txt'), project_folder).should.equal('../another/folder/file.txt')
 	})
-})
\ No newline at end of file
+
+	it('should alias paths the way Webpack does', function()
+	{
+		const aliases =
+		{
+			'react'            : 'preact-compat',
+			'@company/ui'      : '/project/ui',
+			'@company/ui/icons': '/project/icons/',
+			'config$'          : '/project/config/production.js',
+			'lodash$'          : 'lodash-es',
+			'lodash'           : 'lodash',
+			'disabled'         : false
+		}
+
+		const not_aliased = path => (alias(path, aliases) === undefined).should.equal(true)
+
+		// module names
+		alias('react', aliases).should.equal('preact-compat')
+		alias('react/lib/whatever', aliases).should.equal('preact-compat/lib/whatever')
+		not_aliased('react-dom')
+
+		// scoped packages and the longest prefix
+		alias('@company/ui', aliases).should.equal('/project/ui')
+		alias('@company/ui/button', aliases).should.equal('/project/ui/button')
+		alias('@company/ui/icons/close', aliases).should.equal('/project/icons/close')
+		not_aliased('@company/uikit')
+
+		// exact matches
+		alias('config', aliases).should.equal('/project/config/production.js')
+		not_aliased('config/development')
+		alias('lodash', aliases).should.equal('lodash-es')
+		alias('lodash/map', aliases).should.equal('lodash/map')
+
+		// paths
+		not_aliased('./react')
+		not_aliased('/react')
+		not_aliased('disabled')
+	})
+
+	it('should split chunks info out of webpack assets', function()
+	{
+		const compiler_assets =
+		{
+			hash: 'abc',
+			javascript: { main: '/main.js' },
+			styles: {},
+			chunks: {},
+			entrypoints: {},
+			integrity: {},
+			assets: { './image.png': '/image.png' }
+		}
+
+		const webpack_assets = { hash: 'def', compilers: { client: compiler_assets, worker: './webpack-assets.worker.json' } }
+
+		const { assets, chunks_info } = split_chunks_info(webpack_assets)
+
+		assets.should.deep.equal({ compilers: { client: { assets: compiler_assets.assets }, worker: './webpack-assets.worker.json' } })
+		chunks_info.compilers.client.hash.should.equal('abc')
+		chunks_info.hash.should.equal('def')
+
+		merge_chunks_info(Object.assign({ chunks_info: './webpack-assets.chunks-info.json' }, assets), chunks_info).should.deep.equal(webpack_assets)
+
+		// doesn't clash with a `MultiCompiler` child compiler named "chunks"
+		chunks_info_file_path('/project/webpack-assets.json').should.equal('/project/webpack-assets.chunks-info.json')
+		chunks_info_file_path('/project/webpack-assets.json').should.not.equal(compiler_file_path('/project/webpack-assets.json', 'chunks'))
+	})
+
+	it('should read webpack assets using the given file reader', function()
+	{
+		const files =
+		{
+			[path.resolve('/project/webpack-assets.json')]                    : { compilers: { client: { hash: 'abc' }, server: './webpack-assets.server.json' } },
+			[path.resolve('/project/webpack-assets.server.json')]             : { chunks_info: './webpack-assets.server.chunks-info.json', assets: {} },
+			[path.resolve('/project/webpack-assets.server.chunks-info.json')] : { hash: 'def' }
+		}
+
+		const webpack_assets_path = path.resolve('/project/webpack-assets.json')
+		const read = file_path => read_webpack_assets(file_path, file_path => files[file_path])
+
+		pick_compiler_assets(read(webpack_assets_path), webpack_assets_path, undefined, read).should.deep.equal({ hash: 'abc' })
+		pick_compiler_assets(read(webpack_assets_path), webpack_assets_path, 'server', read).should.deep.equal({ hash: 'def', assets: {} })
+
+		const unknown_compiler = () => pick_compiler_assets(read(webpack_assets_path), webpack_assets_path, 'worker', read)
+		unknown_compiler.should.throw('Compiler "worker" not found in webpack assets. Available compilers: client, server')
+
+		// a custom merge
+		read_webpack_assets(path.resolve('/project/webpack-assets.server.json'), file_path => files[file_path], (assets, chunks_info) => chunks_info).should.equal(files[path.resolve('/project/webpack-assets.server.chunks-info.json')])
+	})
+
+	it('should find assets by canonical paths', function()
+	{
+		const log = new Log('testing', { debug: false })
+
+		const assets =
+		{
+			'./~/a/node_modules/b/~/c/image.png': 'nested',
+			'./~/url-loader?limit=1!./assets/image.png': 'loader'
+		}
+
+		find_asset(assets, './node_modules/a/node_modules/b/node_modules/c/image.png', undefined, log).should.equal('nested')
+		find_asset(assets, './~/a/~/b/node_modules/c/image.png', undefined, log).should.equal('nested')
+		find_asset(assets, './node_modules/url-loader?limit=1!./assets/image.png', undefined, log).should.equal('loader')
+
+		;(find_asset(assets, './node_modules/a/image.png', undefined, log) === undefined).should.equal(true)
+	})
+
+	it('should find symlinked assets by their real paths', function()
+	{
+		const log = new Log('testing', { debug: false })
+
+		const project_path = fs.mkdtempSync(path.join(os.tmpdir(), 'webpack-isomorphic-tools-'))
+
+		fs.mkdirSync(path.join(project_path, 'package'))
+		fs.writeFileSync(path.join(project_path, 'package/image.png'), '')
+		fs.mkdirSync(path.join(project_path, 'node_modules'))
+		fs.symlinkSync(path.join(project_path, 'package'), path.join(project_path, 'node_modules/package'), 'dir')
+
+		const realpath = fs.realpathSync
+		let realpath_calls = 0
+		fs.realpathSync = function() { realpath_calls++; return realpath.apply(this, arguments) }
+
+		try
+		{
+			const assets = { './~/package/image.png': 'linked', './image.png': 'image' }
+
+			// real paths are only looked up on a miss
+			find_asset(assets, './image.png', project_path, log).should.equal('image')
+			realpath_calls.should.equal(0)
+
+			find_asset(assets, './package/image.png', project_path, log).should.equal('linked')
+			realpath_calls.should.equal(2)
+
+			// (and only once for each webpack-assets.json)
+			find_asset(assets, './package/image.png', project_path, log).should.equal('linked')
+			;(find_asset(assets, './absent.png', project_path, log) === undefined).should.equal(true)
+			realpath_calls.should.equal(2)
+		}
+		finally
+		{
+			fs.realpathSync = realpath
+
+			fs.unlinkSync(path.join(project_path, 'node_modules/package'))
+			fs.rmdirSync(path.join(project_path, 'node_modules'))
+			fs.unlinkSync(path.join(project_path, 'package/image.png'))
+			fs.rmdirSync(path.join(project_path, 'package'))
+			fs.rmdirSync(project_path)
+		}
+	})
+
+	it('should list the closest assets when an asset is not found', function()
+	{
+		const assets =
+		{
+			'./assets/husky.jpg': 1,
+			'./assets/husky.png': 2,
+			'./styles/main.scss': 3
+		}
+
+		asset_not_found_message(assets, './assets/huskey.jpg').should.equal('asset not found: ./assets/huskey.jpg. The closest ones in webpack-assets.json are: "./assets/husky.jpg", "./assets/husky.png"')
+		asset_not_found_message(assets, './fonts/font.woff').should.equal('asset not found: ./fonts/font.woff')
+	})
+
+	it('should only look for the closest assets when a missing asset is reported', function()
+	{
+		let listed = 0
+
+		// counts how many times asset paths are listed
+		const assets = new Proxy({ './assets/husky.jpg': 1 },
+		{
+			ownKeys(target)
+			{
+				listed++
+				return Reflect.ownKeys(target)
+			}
+		})
+
+		const log = { error() {} }
+		const options = { assets: {} }
+
+		missing_asset('./assets/huskey.jpg', assets, { on_missing: () => 'ignored' }, options, log).should.equal('ignored')
+		listed.should.equal(0)
+
+		missing_asset('./assets/huskey.jpg', assets, { on_missing: 'warn', placeholder: 'placeholder' }, options, log).should.equal('placeholder')
+		missing_asset('./assets/huskey.jpg', assets, { on_missing: 'warn', placeholder: 'placeholder' }, options, log).should.equal('placeholder')
+		listed.should.equal(1)
+	})
+
+	it('should compare a missing asset path with related asset paths first', function()
+	{
+		const assets = {}
+
+		for (let i = 0; i < 2000; i++)
+		{
+			assets[`./images/image_${i}.png`] = i
+		}
+
+		assets['./assets/husky.jpg'] = 'husky'
+
+		closest_asset_paths(assets, './assets/huskey.jpg', 3).should.deep.equal(['./assets/husky.jpg'])
+		closest_asset_paths(assets, './images/image_1.pgn', 1).should.deep.equal(['./images/image_1.png'])
+	})
+})
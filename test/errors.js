@@ -0,0 +1,69 @@
+import chai from 'chai'
+
+import isomorpher from '../source/index'
+import isomorpher_plugin from '../source/plugin/plugin'
+
+import { webpack_isomorphic_tools_error, configuration_error, asset_not_found_error, manifest_unavailable_error, ambiguous_module_error, asset_compilation_error } from '../source/errors'
+
+chai.should()
+
+describe('errors', function()
+{
+	it('should have codes', function()
+	{
+		const error = new asset_not_found_error('asset not found: ./image.png', { asset_path: './image.png' })
+
+		;(error instanceof asset_not_found_error).should.equal(true)
+		;(error instanceof webpack_isomorphic_tools_error).should.equal(true)
+		;(error instanceof Error).should.equal(true)
+		;(error instanceof configuration_error).should.equal(false)
+
+		error.code.should.equal('ASSET_NOT_FOUND')
+		error.code.should.equal(asset_not_found_error.code)
+		error.name.should.equal('asset_not_found_error')
+		error.message.should.equal('asset not found: ./image.png')
+		error.asset_path.should.equal('./image.png')
+		error.stack.should.contain('asset_not_found_error: asset not found: ./image.png')
+
+		configuration_error.code.should.equal('CONFIGURATION_ERROR')
+		manifest_unavailable_error.code.should.equal('MANIFEST_UNAVAILABLE')
+		ambiguous_module_error.code.should.equal('AMBIGUOUS_MODULE')
+		asset_compilation_error.code.should.equal('ASSET_COMPILATION_FAILED')
+	})
+
+	it('should keep the original stack trace', function()
+	{
+		const cause = new Error('Unexpected token')
+
+		const error = new asset_compilation_error(`Couldn't compile asset "./style.scss": ${cause.message}`, { asset_path: './style.scss', cause })
+
+		error.cause.should.equal(cause)
+		error.stack.should.contain(`Caused by: ${cause.stack}`)
+	})
+
+	it('should be available on the server-side class and the plugin', function()
+	{
+		isomorpher.configuration_error.should.equal(configuration_error)
+		isomorpher.asset_not_found_error.should.equal(asset_not_found_error)
+		isomorpher_plugin.manifest_unavailable_error.should.equal(manifest_unavailable_error)
+		isomorpher_plugin.ambiguous_module_error.should.equal(ambiguous_module_error)
+	})
+
+	it('should throw configuration errors', function()
+	{
+		let thrown
+
+		try
+		{
+			new isomorpher({ assets: {}, debug: 'true' })
+		}
+		catch (error)
+		{
+			thrown = error
+		}
+
+		;(thrown instanceof configuration_error).should.equal(true)
+		thrown.code.should.equal('CONFIGURATION_ERROR')
+		thrown.problems.should.deep.equal([{ path: 'debug', message: '"debug" must be a boolean' }])
+	})
+})
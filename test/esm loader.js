@@ -0,0 +1,183 @@
+import path from 'path'
+import fs   from 'fs'
+import chai from 'chai'
+
+import { pathToFileURL } from 'url'
+import { MessageChannel } from 'worker_threads'
+
+import { initialize, resolve, load } from '../source/esm loader'
+import isomorpher from '../source/index'
+
+chai.should()
+
+const webpack_assets_path = path.resolve(__dirname, 'webpack-assets.esm.json')
+
+const webpack_assets =
+{
+	"javascript": {},
+	"styles": {},
+	"assets":
+	{
+		"./assets/husky.jpg"             : "/assets/9059f094ddb49c2b0fa6a254a6ebf2ad.jpg",
+		"./assets/style.scss"            : "module.exports = { locals: { child: 'child' } }",
+		"./~/aliased_module_name/test.jpg" : true,
+
+		"./~/responsive-loader?sizes[]=100w!./assets/husky.jpg" : 'responsive'
+	}
+}
+
+const settings = () =>
+({
+	project_path        : __dirname,
+	webpack_assets_path,
+	development         : true,
+	alias               : { original_module_name : 'aliased_module_name' },
+	assets:
+	{
+		images:
+		{
+			extensions: ['jpg', 'png'],
+			exclude: [/absent/]
+		},
+		styles:
+		{
+			extensions: ['scss']
+		}
+	}
+})
+
+// resolves paths relative to the `test` folder
+// (instead of the Node.js default resolver)
+const next_resolve = (specifier, context) => ({ url: pathToFileURL(path.resolve(__dirname, specifier)).href })
+
+// marks modules which weren't served from webpack-assets.json
+const next_load = (url, context) => ({ format: 'module', source: 'next', shortCircuit: true })
+
+describe('ES modules loader', function()
+{
+	beforeEach(function()
+	{
+		fs.writeFileSync(webpack_assets_path, JSON.stringify(webpack_assets))
+		initialize(settings())
+	})
+
+	afterEach(function()
+	{
+		fs.unlinkSync(webpack_assets_path)
+	})
+
+	it('should serve assets', function()
+	{
+		const url = next_resolve('./assets/husky.jpg').url
+
+		return load(url, {}, next_load).then((module) =>
+		{
+			module.format.should.equal('module')
+			module.source.should.equal('export default "/assets/9059f094ddb49c2b0fa6a254a6ebf2ad.jpg"')
+		})
+	})
+
+	it('should wrap CommonJS assets', function()
+	{
+		const url = next_resolve('./assets/style.scss').url
+
+		return load(url, {}, next_load).then((module) =>
+		{
+			module.source.should.contain("module.exports = { locals: { child: 'child' } }")
+			module.source.should.contain('export default module.exports')
+		})
+	})
+
+	it('should skip non-asset and excluded files', function()
+	{
+		load(next_resolve('./index.js').url, {}, next_load).source.should.equal('next')
+		load(next_resolve('./assets/absent.jpg').url, {}, next_load).source.should.equal('next')
+		load('node:fs', {}, next_load).source.should.equal('next')
+	})
+
+	it('should serve loader-powered paths', function()
+	{
+		return resolve('responsive?sizes[]=100w!./assets/husky.jpg', {}, next_resolve).then(({ url }) =>
+		{
+			return load(url, {}, next_load).then((module) =>
+			{
+				module.source.should.equal('export default "responsive"')
+			})
+		})
+	})
+
+	it('should alias modules', function()
+	{
+		const { url } = resolve('original_module_name/test.jpg', {}, (specifier) => next_resolve('./node_modules/' + specifier))
+
+		url.should.equal(pathToFileURL(path.resolve(__dirname, 'node_modules/aliased_module_name/test.jpg')).href)
+
+		return load(url, {}, next_load).then((module) =>
+		{
+			module.source.should.equal('export default true')
+		})
+	})
+
+	it('should pick up webpack-assets.json changes in development mode', function()
+	{
+		const url = next_resolve('./assets/husky.jpg').url
+
+		return load(url, {}, next_load).then(() =>
+		{
+			const changed = JSON.parse(JSON.stringify(webpack_assets))
+			changed.assets['./assets/husky.jpg'] = '/assets/changed.jpg'
+			fs.writeFileSync(webpack_assets_path, JSON.stringify(changed))
+
+			// make sure the modification time changes
+			const later = new Date(Date.now() + 10000)
+			fs.utimesSync(webpack_assets_path, later, later)
+
+			return load(url, {}, next_load)
+		})
+		.then((module) =>
+		{
+			module.source.should.equal('export default "/assets/changed.jpg"')
+		})
+	})
+
+	it('should use webpack assets posted by the server-side instance when served over HTTP', function()
+	{
+		const { port1, port2 } = new MessageChannel()
+
+		// (nothing listens on this port, so webpack assets can't be fetched over HTTP)
+		initialize(Object.assign(settings(), { port: 1, assets_channel: port2 }))
+
+		const posted = JSON.parse(JSON.stringify(webpack_assets))
+		posted.assets['./assets/husky.jpg'] = '/assets/posted.jpg'
+
+		port1.postMessage(posted)
+
+		return new Promise(resolve => port2.once('message', () => setImmediate(resolve)))
+		.then(() => load(next_resolve('./assets/husky.jpg').url, {}, next_load))
+		.then((module) =>
+		{
+			port1.close()
+			module.source.should.equal('export default "/assets/posted.jpg"')
+		})
+	})
+
+	it('should not pass functions to the loader thread', function()
+	{
+		const server = new isomorpher
+		({
+			assets:
+			{
+				images:
+				{
+					extension: 'jpg',
+					exclude: [path => false]
+				}
+			}
+		})
+
+		server.register_esm_loader.bind(server).should.throw(isomorpher.configuration_error, 'You seem to have forgotten to call the .server() method')
+
+		server.options.project_path = __dirname
+		server.esm_loader_settings.bind(server).should.throw('Functions can\'t be used for exclusion/inclusion')
+	})
+})
@@ -2,6 +2,9 @@ import path from 'path'
 import chai from 'chai'
 
 import fs from 'fs'
+import os from 'os'
+import http from 'http'
+import Module from 'module'
 
 import isomorpher from '../source/index'
 import isomorpher_plugin from '../source/plugin/plugin'
@@ -9,6 +12,7 @@ import isomorpher_plugin from '../source/plugin/plugin'
 import { extend, camel_case } from './../source/helpers'
 
 import Log from '../source/tools/log'
+import { start_event_stream, send_event } from '../source/tools/event stream'
 
 chai.should()
 
@@ -19,6 +23,8 @@ const webpack_assets_path = path.resolve(__dirname, 'webpack-assets.json')
 
 const webpack_assets = 
 {
+	"format_version": 1,
+	"public_path": "/assets/",
 	"javascript":
 	{
 		"main": "/assets/main.6c2b37c0fc8c0592e2d3.js"
@@ -27,6 +33,29 @@ const webpack_assets =
 	{
 		"main": "/assets/main.6c2b37c0fc8c0592e2d3.css"
 	},
+	"chunks":
+	{
+		"admin":
+		{
+			"javascript": ["/assets/admin.js"],
+			"styles": [],
+			"source_maps": ["/assets/admin.js.map"],
+			"other": []
+		}
+	},
+	"entrypoints":
+	{
+		"main":
+		{
+			"javascript": ["/assets/runtime.js", "/assets/vendor.js", "/assets/main.6c2b37c0fc8c0592e2d3.js"],
+			"styles": ["/assets/vendor.css", "/assets/main.6c2b37c0fc8c0592e2d3.css"]
+		}
+	},
+	"integrity":
+	{
+		"/assets/vendor.js": "sha384-vendor",
+		"/assets/vendor.css": "sha384-vendor-styles"
+	},
 	"assets":
 	{
 		"./assets/husky.jpg"                     : "/assets/9059f094ddb49c2b0fa6a254a6ebf2ad.jpg",
@@ -63,7 +92,7 @@ const isomorpher_settings = () =>
 	{
 		javascript:
 		{
-			exclude: ['../context.js', '../ensure.js'],
+			exclude: ['../context.js', '../ensure.js', '../import.js'],
 			extension: 'js'
 		},
 		styles:
@@ -118,6 +147,18 @@ function cleanup_webpack_assets()
 	}
 }
 
+// compiles a module from source code
+// (e.g. Babel can't parse dynamic `import()` here)
+function compile_module(source, file_name = 'compiled module.js')
+{
+	const filename = path.resolve(__dirname, file_name)
+	const compiled = new Module(filename, module)
+	compiled.filename = filename
+	compiled.paths = Module._nodeModulePaths(__dirname)
+	compiled._compile(source, filename)
+	return compiled.exports
+}
+
 // writes webpack-assets.json
 function create_assets_file(data = webpack_assets)
 {
@@ -277,6 +318,236 @@ describe('plugin', function()
 		})
 	})
 
+	it('should read chunks info from a separate file (`split_chunks_info`)', function(done)
+	{
+		const chunks_info_path = path.resolve(__dirname, 'webpack-assets.chunks-info.json')
+
+		fs.writeFileSync(chunks_info_path, JSON.stringify({ javascript: webpack_assets.javascript, styles: webpack_assets.styles }))
+		create_assets_file({ chunks_info: './webpack-assets.chunks-info.json', assets: webpack_assets.assets })
+
+		const settings = isomorpher_settings()
+
+		// the chunks info file isn't a json asset
+		settings.assets.json = { extensions: ['json'] }
+
+		const server_side = new isomorpher(settings)
+
+		server_side.server(webpack_configuration.context, () =>
+		{
+			server_side.assets().should.deep.equal
+			({
+				javascript : webpack_assets.javascript,
+				styles     : webpack_assets.styles,
+				assets     : webpack_assets.assets
+			})
+
+			// the merged object is reused
+			server_side.assets().should.equal(server_side.assets())
+
+			// a new build
+			fs.writeFileSync(chunks_info_path, JSON.stringify({ javascript: { main: '/assets/main.new.js' }, styles: {} }))
+			server_side.refresh()
+
+			server_side.assets().javascript.main.should.equal('/assets/main.new.js')
+
+			fs.unlinkSync(chunks_info_path)
+
+			// unmount require() hooks
+			server_side.undo()
+
+			// done
+			done()
+		})
+	})
+
+	it('should render HTML tags for entrypoints and chunks', function(done)
+	{
+		create_assets_file()
+
+		const server_side = new isomorpher(isomorpher_settings())
+
+		server_side.server(webpack_configuration.context, () =>
+		{
+			server_side.script_tags(['main', 'admin'], { defer: true, async: false, crossorigin: 'anonymous', nonce: '"quoted"' }).should.equal
+			([
+				'<script src="/assets/runtime.js" defer crossorigin="anonymous" nonce="&quot;quoted&quot;"></script>',
+				'<script src="/assets/vendor.js" integrity="sha384-vendor" defer crossorigin="anonymous" nonce="&quot;quoted&quot;"></script>',
+				'<script src="/assets/main.6c2b37c0fc8c0592e2d3.js" defer crossorigin="anonymous" nonce="&quot;quoted&quot;"></script>',
+				'<script src="/assets/admin.js" defer crossorigin="anonymous" nonce="&quot;quoted&quot;"></script>'
+			]
+			.join('\n'))
+
+			server_side.style_tags('main', { integrity: false }).should.equal
+			([
+				'<link rel="stylesheet" href="/assets/vendor.css"/>',
+				'<link rel="stylesheet" href="/assets/main.6c2b37c0fc8c0592e2d3.css"/>'
+			]
+			.join('\n'))
+
+			server_side.style_tags('admin').should.equal('')
+
+			const absent = () => server_side.script_tags('absent')
+			absent.should.throw('Neither an entrypoint nor a chunk named "absent" was found in webpack assets')
+
+			// unmount require() hooks
+			server_side.undo()
+
+			// done
+			done()
+		})
+	})
+
+	it('should collect assets required during a render', function(done)
+	{
+		create_assets_file()
+
+		const server_side = new isomorpher(isomorpher_settings())
+
+		server_side.server(webpack_configuration.context, () =>
+		{
+			// is in require() cache now
+			require('./assets/husky.jpg')
+
+			const render = () => new Promise((resolve) =>
+			{
+				require('./assets/husky.jpg')
+
+				setTimeout(() =>
+				{
+					require('responsive?sizes[]=100w,sizes[]=200w,sizes[]=300w!./assets/husky.jpg')
+					require('./assets/husky.jpg')
+
+					resolve('rendered')
+				},
+				10)
+			})
+
+			// a concurrent render
+			const concurrent = server_side.collect(() => require('./node_modules/whatever.jpg')).then(({ assets }) =>
+			{
+				assets.should.deep.equal([{ path: './node_modules/whatever.jpg', value: 1 }])
+			})
+
+			const rendered = server_side.collect(render).then(({ result, assets }) =>
+			{
+				result.should.equal('rendered')
+
+				assets.should.deep.equal
+				([
+					{ path: './assets/husky.jpg', value: webpack_assets.assets['./assets/husky.jpg'] },
+					{ path: './~/responsive-loader?sizes[]=100w,sizes[]=200w,sizes[]=300w!./assets/husky.jpg', value: 'responsive' }
+				])
+
+			})
+
+			Promise.all([concurrent, rendered]).then(() =>
+			{
+				// unmount require() hooks
+				server_side.undo()
+
+				done()
+			})
+			.catch(done)
+		})
+	})
+
+	it('should keep `require()` patched by someone else when undoing assets collection', function(done)
+	{
+		create_assets_file()
+
+		const server_side = new isomorpher(isomorpher_settings())
+
+		server_side.server(webpack_configuration.context, () =>
+		{
+			const original_require = Module.prototype.require
+
+			server_side.collect(() => 'rendered').then(() =>
+			{
+				// e.g. an APM agent
+				const tracking_require = Module.prototype.require
+				const patched_require = Module.prototype.require = function() { return tracking_require.apply(this, arguments) }
+
+				server_side.undo()
+
+				Module.prototype.require.should.equal(patched_require)
+				require('path').should.equal(path)
+
+				Module.prototype.require = original_require
+
+				done()
+			})
+			.catch(done)
+		})
+	})
+
+	it('should pick Webpack `MultiCompiler` assets by compiler name', function(done)
+	{
+		const worker_webpack_assets = extend({}, webpack_assets, { javascript: { main: '/assets/worker.js' } })
+
+		// "merged" webpack-assets.json
+		create_assets_file({ compilers: { client: webpack_assets, worker: worker_webpack_assets } })
+
+		const settings = isomorpher_settings()
+
+		// "per compiler" webpack-assets.json files aren't json assets
+		settings.assets.json = { extensions: ['json'] }
+
+		const server_side = new isomorpher(settings)
+
+		server_side.server(webpack_configuration.context, () =>
+		{
+			server_side.assets().should.deep.equal(webpack_assets)
+			server_side.assets('client').should.deep.equal(webpack_assets)
+			server_side.assets('worker').should.deep.equal(worker_webpack_assets)
+
+			const absent_compiler = () => server_side.assets('absent')
+			absent_compiler.should.throw('Compiler "absent" not found in webpack assets. Available compilers: client, worker')
+			absent_compiler.should.throw(isomorpher.configuration_error)
+
+			// asset require() hooks use the first compiler's assets
+			require('./assets/husky.jpg').should.equal(webpack_assets.assets['./assets/husky.jpg'])
+
+			// "per compiler" webpack-assets.json
+			const worker_webpack_assets_path = path.resolve(__dirname, 'webpack-assets.worker.json')
+			fs.writeFileSync(worker_webpack_assets_path, JSON.stringify(worker_webpack_assets))
+			create_assets_file({ compilers: { worker: './webpack-assets.worker.json' } })
+
+			server_side.refresh()
+
+			server_side.assets('worker').should.deep.equal(worker_webpack_assets)
+
+			server_side.refresh()
+			fs.unlinkSync(worker_webpack_assets_path)
+
+			// unmount require() hooks
+			server_side.undo()
+
+			// done
+			done()
+		})
+	})
+
+	it('should return entrypoint assets in the order they should be loaded', function(done)
+	{
+		create_assets_file()
+
+		const server_side = new isomorpher(isomorpher_settings())
+
+		server_side.server(webpack_configuration.context, () =>
+		{
+			server_side.entrypoint_assets('main').should.deep.equal(webpack_assets.entrypoints.main)
+
+			const absent_entrypoint = () => server_side.entrypoint_assets('absent')
+			absent_entrypoint.should.throw('Entrypoint "absent" not found in webpack assets. Available entrypoints: main')
+
+			// unmount require() hooks
+			server_side.undo()
+
+			// done
+			done()
+		})
+	})
+
 	it('should inject require.context()', function(done)
 	{
 		// create the webpack-assets.json
@@ -316,6 +587,110 @@ describe('plugin', function()
 		})
 	})
 
+	it('should take require.context() keys from Webpack stats', function(done)
+	{
+		// the context module recorded by the plugin
+		// (the bundle only got one of the two files)
+		create_assets_file(extend({}, webpack_assets,
+		{
+			contexts:
+			{
+				"./node_modules sync recursive ^\\.\\/.*\\.js$":
+				{
+					directory: './node_modules',
+					recursive: true,
+					regular_expression: '^\\.\\/.*\\.js$',
+					keys:
+					{
+						'./whatever.js': './~/whatever.js'
+					}
+				}
+			}
+		}))
+
+		const settings = isomorpher_settings()
+		settings.patch_require = true
+
+		const server_side = new isomorpher(settings)
+
+		server_side.server(webpack_configuration.context, () =>
+		{
+			delete require.cache[path.resolve(__dirname, '../context.js')]
+			delete require.cache[path.resolve(__dirname, './node_modules/whatever.js')]
+
+			const context = require('../context.js')
+
+			context.keys().should.deep.equal(['./whatever.js'])
+			context.resolve('./whatever.js').should.equal(path.resolve(__dirname, './node_modules/whatever.js'))
+			context('./whatever.js').should.equal(webpack_assets.assets['./~/whatever.js'])
+
+			// a non-recursive context module wasn't recorded
+			// (so `require.context()` would scan the directory)
+			const non_recursive = server_side.context_module(path.resolve(__dirname, './node_modules'), false, /^\.\/.*\.js$/)
+			;(non_recursive === undefined).should.equal(true)
+
+			server_side.undo()
+
+			delete require.cache[path.resolve(__dirname, '../context.js')]
+
+			done()
+		})
+	})
+
+	it('should keep require.context() keys of each instance', function()
+	{
+		// the context module recorded by the plugin
+		create_assets_file(extend({}, webpack_assets,
+		{
+			contexts:
+			{
+				"./node_modules sync recursive ^\\.\\/.*\\.js$":
+				{
+					directory: './node_modules',
+					recursive: true,
+					regular_expression: '^\\.\\/.*\\.js$',
+					keys:
+					{
+						'./whatever.js': './~/whatever.js'
+					}
+				}
+			}
+		}))
+
+		const settings = isomorpher_settings()
+		settings.patch_require = true
+
+		const first  = new isomorpher(settings)
+		const second = new isomorpher(settings)
+
+		return first.server(webpack_configuration.context)
+			.then(() =>
+			{
+				// (`require()` hooks can't be registered twice,
+				//  so only `require()` helpers are injected)
+				second.patch_require()
+
+				first.context_module_function.should.not.equal(second.context_module_function)
+
+				// doesn't remove the first instance's context modules
+				second.undo()
+
+				delete require.cache[path.resolve(__dirname, '../context.js')]
+
+				try
+				{
+					require('../context.js').keys().should.deep.equal(['./whatever.js'])
+				}
+				finally
+				{
+					first.undo()
+					delete require.cache[path.resolve(__dirname, '../context.js')]
+				}
+
+				;(global[first.context_module_function] === undefined).should.equal(true)
+			})
+	})
+
 	it('should inject require.ensure()', function(done)
 	{
 		// create the webpack-assets.json
@@ -348,6 +723,171 @@ describe('plugin', function()
 		})
 	})
 
+	it('should inject System.import() and import()', function()
+	{
+		// create the webpack-assets.json
+		create_assets_file()
+
+		// enable `System.import()` and `import()`
+		const settings = isomorpher_settings()
+		settings.patch_require = ['import()']
+
+		const server_side = new isomorpher(settings)
+
+		return server_side.server(webpack_configuration.context).then(() =>
+		{
+			// clear require.cache for the asset to force a lookup in webpack-assets.json
+			delete require.cache[path.resolve(__dirname, './node_modules/whatever.js')]
+
+			return Promise.all
+			([
+				require('../import.js'),
+				compile_module(`module.exports = import('./node_modules/whatever.js')`),
+				compile_module(`module.exports = import ('./assets/husky.jpg').then(function(image) { return image.default })`),
+				compile_module(`module.exports = import('./node_modules/aliased_module_name')`),
+				compile_module(`module.exports = import('./absent').catch(function(error) { return error.code })`),
+				compile_module(`module.exports = { "import": function() { return 'not an import' } }.import('./absent')`),
+				compile_module(`class Loader { import(path) { return 'method ' + path } }\nmodule.exports = new Loader().import('./absent')`),
+				compile_module(`module.exports = "import('./absent')" + \`import('./absent')\``),
+				// the file's own `System`
+				compile_module(`const System = { import: () => 'own System' }; module.exports = System.import('./absent')`)
+			])
+		})
+		.then(([system_imported, imported, image, commonjs_module, error, not_an_import, method, string, own_system]) =>
+		{
+			system_imported.should.deep.equal({ default: webpack_assets.assets['./~/whatever.js'] })
+			imported.should.deep.equal({ default: webpack_assets.assets['./~/whatever.js'] })
+			image.should.equal(webpack_assets.assets['./assets/husky.jpg'])
+			commonjs_module.default.should.equal('alias')
+			error.should.equal('MODULE_NOT_FOUND')
+			not_an_import.should.equal('not an import')
+			method.should.equal('method ./absent')
+			string.should.equal(`import('./absent')import('./absent')`)
+			own_system.should.equal('own System')
+
+			// a global `System` (e.g. SystemJS) isn't shadowed
+			global.System = { register: () => 'SystemJS' }
+
+			try
+			{
+				compile_module(`System.import('./node_modules/whatever.js'); module.exports = System.register()`).should.equal('SystemJS')
+			}
+			finally
+			{
+				delete global.System
+			}
+
+			// unmount require() hooks
+			server_side.undo()
+		})
+	})
+
+	it('should inject Webpack require() helpers', function()
+	{
+		// create the webpack-assets.json
+		create_assets_file()
+
+		const settings = isomorpher_settings()
+		settings.patch_require = ['require.include', 'require.resolveWeak', '__webpack_require__', '__webpack_public_path__']
+
+		const server_side = new isomorpher(settings)
+
+		return server_side.server(webpack_configuration.context).then(() =>
+		{
+			compile_module(`require.include('./absent'); module.exports = 'included'`).should.equal('included')
+
+			compile_module(`module.exports = require.resolveWeak('./node_modules/aliased_module_name')`)
+				.should.equal(path.resolve(__dirname, 'node_modules/aliased_module_name/index.js'))
+
+			;(compile_module(`module.exports = require.resolveWeak('./absent')`) === undefined).should.equal(true)
+
+			// there's no hot module replacement on the server side
+			;(compile_module(`module.exports = module.hot`) === undefined).should.equal(true)
+
+			compile_module(`module.exports = __webpack_require__.p + __webpack_require__('./node_modules/aliased_module_name')`).should.equal('/assets/alias')
+
+			compile_module(`module.exports = __webpack_public_path__ + 'image.png'`).should.equal('/assets/image.png')
+
+			// unmount require() hooks
+			server_side.undo()
+		})
+	})
+
+	it('should inject Webpack require() helpers preserving line and column numbers', function()
+	{
+		// create the webpack-assets.json
+		create_assets_file()
+
+		const settings = isomorpher_settings()
+		settings.patch_require = ['require.include', 'import()']
+		settings.patch_require_extensions = ['.jsx']
+
+		const server_side = new isomorpher(settings)
+
+		return server_side.server(webpack_configuration.context).then(() =>
+		{
+			// "use strict" still applies
+			;(compile_module(`'use strict'\nrequire.include(); module.exports = (function() { return this })()`, 'compiled module.jsx') === undefined).should.equal(true)
+
+			compile_module(`'use strict'\nrequire.include(''); module.exports = new Error().stack`, 'compiled module.jsx')
+				.should.contain('compiled module.jsx:2:39')
+
+			const imported = compile_module(`// dynamic import\nmodule.exports = import('./node_modules/whatever.js').then(() => new Error().stack)`, 'compiled module.jsx')
+
+			// only ".jsx" files are patched
+			compile_module(`module.exports = typeof require.include`).should.equal('undefined')
+
+			// unmount require() hooks
+			server_side.undo()
+
+			return imported.then(stack => stack.should.contain('compiled module.jsx:2:66'))
+		})
+	})
+
+	it('should only inject the configured Webpack require() helpers', function()
+	{
+		// create the webpack-assets.json
+		create_assets_file()
+
+		const settings = isomorpher_settings()
+		settings.patch_require = ['require.include']
+
+		const server_side = new isomorpher(settings)
+
+		return server_side.server(webpack_configuration.context).then(() =>
+		{
+			compile_module(`require.include('./absent'); module.exports = 'included'`).should.equal('included')
+
+			const resolve_weak = () => compile_module(`module.exports = require.resolveWeak('./absent')`)
+			resolve_weak.should.throw('require.resolveWeak is not a function')
+
+			// unmount require() hooks
+			server_side.undo()
+		})
+	})
+
+	it('should only inject require.context() and require.ensure() for `patch_require: true`', function()
+	{
+		// create the webpack-assets.json
+		create_assets_file()
+
+		const settings = isomorpher_settings()
+		settings.patch_require = true
+
+		const server_side = new isomorpher(settings)
+
+		return server_side.server(webpack_configuration.context).then(() =>
+		{
+			compile_module(`require.ensure; module.exports = typeof require.ensure`).should.equal('function')
+			compile_module(`require.include; module.exports = typeof require.include`).should.equal('undefined')
+			compile_module(`module.exports = typeof __webpack_public_path__`).should.equal('undefined')
+			;(compile_module(`module.exports = module.hot`) === undefined).should.equal(true)
+
+			// unmount require() hooks
+			server_side.undo()
+		})
+	})
+
 	it('should refresh assets in development mode', function(done)
 	{
 		// create the webpack-assets.json
@@ -390,6 +930,129 @@ describe('plugin', function()
 		})
 	})
 
+	it('should update assets automatically in development mode', function(done)
+	{
+		// create the webpack-assets.json
+		create_assets_file(extend({}, webpack_assets, { hash: 'previous' }))
+
+		const server_side = new isomorpher(isomorpher_settings())
+
+		// install require() hooks
+		server_side.server(webpack_configuration.context, () =>
+		{
+			// verify asset value
+			require('./assets/husky.jpg').should.equal(webpack_assets.assets['./assets/husky.jpg'])
+
+			server_side.on('assets-updated', (hash) =>
+			{
+				hash.should.equal('next')
+
+				// verify that assets are refreshed without calling `.refresh()`
+				require('./assets/husky.jpg').should.equal('woof')
+
+				// unmount require() hooks
+				server_side.undo()
+
+				// done
+				done()
+			})
+
+			// a new Webpack build lands
+			create_assets_file(extend({}, webpack_assets,
+			{
+				hash: 'next',
+				assets:
+				{
+					"./assets/husky.jpg": "woof"
+				}
+			}))
+		})
+	})
+
+	it('should keep webpack assets up to date when served over HTTP', function(done)
+	{
+		// emulates webpack-isomorphic-tools plugin HTTP service
+		let served_webpack_assets = extend({}, webpack_assets, { hash: 'previous' })
+		let event_stream
+		let on_assets_request
+
+		const service = http.createServer((request, response) =>
+		{
+			switch (request.url)
+			{
+				case '/':
+					const respond = () =>
+					{
+						response.writeHead(200, { 'Content-Type': 'application/json' })
+						response.end(JSON.stringify(served_webpack_assets))
+					}
+
+					if (on_assets_request)
+					{
+						return on_assets_request(respond)
+					}
+
+					return respond()
+
+				case '/events':
+					start_event_stream(response)
+					event_stream = response
+					return send_event(response, 'build-finished', { hash: served_webpack_assets.hash })
+			}
+		})
+
+		service.listen(0, () =>
+		{
+			const settings = isomorpher_settings()
+			settings.port = service.address().port
+
+			const server_side = new isomorpher(settings)
+
+			server_side.server(webpack_configuration.context, () =>
+			{
+				server_side.assets().should.deep.equal(served_webpack_assets)
+
+				server_side.on('assets-updated', (hash) =>
+				{
+					hash.should.equal('next')
+
+					// the in-memory copy has been updated
+					server_side.assets().assets['./assets/husky.jpg'].should.equal('woof')
+
+					// unmount require() hooks
+					server_side.undo()
+
+					service.close(() => done())
+				})
+
+				on_assets_request = (respond) =>
+				{
+					on_assets_request = undefined
+
+					// the in-memory copy is used while the new one is being fetched
+					// (rather than requesting webpack assets on every call)
+					server_side.assets().hash.should.equal('previous')
+
+					respond()
+				}
+
+				// a new Webpack build
+				send_event(event_stream, 'build-started', {})
+
+				served_webpack_assets = extend({}, webpack_assets,
+				{
+					hash: 'next',
+					assets:
+					{
+						"./assets/husky.jpg": "woof"
+					}
+				})
+
+				send_event(event_stream, 'build-finished', { hash: 'next' })
+			})
+		})
+	})
+
 	it('should correctly require aliased paths', function(done)
 	{
 		// https://webpack.github.io/docs/resolving.html#aliasing
@@ -494,6 +1157,46 @@ describe('plugin', function()
 		})
 	})
 
+	it('should apply Webpack `resolve` settings', function(done)
+	{
+		// create the webpack-assets.json
+		create_assets_file()
+
+		const settings = isomorpher_settings()
+
+		settings.resolve =
+		{
+			alias      : { original_module_name: 'aliased_module_name' },
+			modules    : ['node_modules', path.resolve(__dirname, 'resolve')],
+			// (".mjs" and ".wasm" are not javascript)
+			extensions : ['.wasm', '.mjs', '.js', '.ts']
+		}
+
+		const server_side = new isomorpher(settings)
+
+		server_side.options.alias.should.deep.equal({ original_module_name: 'aliased_module_name' })
+
+		server_side.server(webpack_configuration.context, () =>
+		{
+			try
+			{
+				require('original_module_name/test.jpg').should.equal(true)
+				require('root_module').should.equal('root module')
+				require('./resolve/component').should.equal('component')
+			}
+			finally
+			{
+				server_side.undo()
+			}
+
+			Object.keys(require.extensions).should.not.contain('.ts')
+
+			server_side.injected_extensions.should.deep.equal(['.ts'])
+
+			done()
+		})
+	})
+
 	it('should not refresh assets in production mode', function(done)
 	{
 		// create the webpack-assets.json
@@ -548,105 +1251,376 @@ describe('plugin', function()
 		})
 	})
 
+	it('should handle absent assets according to the "on_missing" policy', function()
+	{
+		// create the webpack-assets.json
+		create_assets_file()
+
+		const absent_asset_path = path.resolve(__dirname, './assets/absent.jpg')
+
+		const require_absent_asset = () =>
+		{
+			delete require.cache[absent_asset_path]
+			return require('./assets/absent.jpg')
+		}
+
+		const instantiate = (settings, callback) =>
+		{
+			const server_side = new isomorpher(settings)
+
+			return server_side.server(webpack_configuration.context).then(() =>
+			{
+				try
+				{
+					callback()
+				}
+				finally
+				{
+					server_side.undo()
+					delete require.cache[absent_asset_path]
+				}
+			})
+		}
+
+		// a placeholder for the asset type
+		const placeholder = isomorpher_settings()
+		placeholder.assets.images_and_fonts.placeholder = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw=='
+
+		// an error
+		const error = isomorpher_settings()
+		error.on_missing = 'throw'
+
+		// a callback
+		const callback = isomorpher_settings()
+		callback.on_missing = () => 'global'
+		callback.assets.images_and_fonts.on_missing = (asset_path, asset_type) => `${asset_type}: ${asset_path}`
+
+		// strict mode (in development mode)
+		const strict = isomorpher_settings()
+		strict.strict = true
+
+		return instantiate(placeholder, () =>
+		{
+			require_absent_asset().should.equal(placeholder.assets.images_and_fonts.placeholder)
+		})
+		.then(() => instantiate(error, () =>
+		{
+			let thrown
+
+			try
+			{
+				require_absent_asset()
+			}
+			catch (error)
+			{
+				thrown = error
+			}
+
+			;(thrown instanceof isomorpher.asset_not_found_error).should.equal(true)
+			thrown.code.should.equal('ASSET_NOT_FOUND')
+			thrown.asset_path.should.equal('./assets/absent.jpg')
+			thrown.asset_type.should.equal('images_and_fonts')
+			thrown.message.should.contain('The closest ones in webpack-assets.json are: "./assets/husky.jpg"')
+		}))
+		.then(() => instantiate(callback, () =>
+		{
+			require_absent_asset().should.equal('images_and_fonts: ./assets/absent.jpg')
+		}))
+		.then(() => instantiate(strict, () =>
+		{
+			;(require_absent_asset() === undefined).should.equal(true)
+		}))
+		.then(() =>
+		{
+			// strict mode (in production mode)
+			const NODE_ENV = process.env.NODE_ENV
+			process.env.NODE_ENV = 'production'
+
+			const server_side = new isomorpher(strict)
+
+			process.env.NODE_ENV = NODE_ENV
+
+			return server_side.server(webpack_configuration.context).then(() =>
+			{
+				try
+				{
+					require_absent_asset.should.throw('asset not found: ./assets/absent.jpg')
+				}
+				finally
+				{
+					server_side.undo()
+					delete require.cache[absent_asset_path]
+				}
+			})
+		})
+	})
+
+	it('should verify webpack-assets.json in production mode', function()
+	{
+		const output_path = fs.mkdtempSync(path.join(os.tmpdir(), 'webpack-isomorphic-tools-'))
+		fs.writeFileSync(path.join(output_path, 'main.6c2b37c0fc8c0592e2d3.js'), '')
+
+		const cleanup = () =>
+		{
+			fs.unlinkSync(path.join(output_path, 'main.6c2b37c0fc8c0592e2d3.js'))
+			fs.rmdirSync(output_path)
+		}
+
+		const instantiate = (data) =>
+		{
+			cleanup_webpack_assets()
+			create_assets_file(data)
+
+			// temporarily set NODE_ENV to "production"
+			const NODE_ENV = process.env.NODE_ENV
+			process.env.NODE_ENV = 'production'
+
+			const server_side = new isomorpher(isomorpher_settings())
+
+			// restore NODE_ENV
+			process.env.NODE_ENV = NODE_ENV
+
+			return server_side
+		}
+
+		const start = (data) =>
+		{
+			const server_side = instantiate(data)
+
+			return server_side.server(webpack_configuration.context).then(() =>
+			{
+				server_side.undo()
+			},
+			(error) =>
+			{
+				server_side.undo()
+				throw error
+			})
+		}
+
+		const broken = Object.assign({}, webpack_assets,
+		{
+			format_version: 2,
+			output_path,
+			assets: Object.assign({}, webpack_assets.assets, { './assets/broken.jpg': null })
+		})
+
+		// webpack-assets.json written by an older version of the plugin
+		const legacy = Object.assign({}, webpack_assets)
+		delete legacy.format_version
+
+		// (the callback is called with the error)
+		const start_with_callback = (data) => new Promise((resolve) =>
+		{
+			const server_side = instantiate(data)
+
+			server_side.server(webpack_configuration.context, (error) =>
+			{
+				server_side.undo()
+				resolve(error)
+			})
+		})
+
+		return start(Object.assign({}, webpack_assets, { output_path, styles: {} }))
+			.then(() => start(legacy))
+			.then(() => start_with_callback(broken))
+			.then((error) =>
+			{
+				error.code.should.equal('INVALID_MANIFEST')
+				error.problems.length.should.equal(3)
+			})
+			.then(() => start(broken))
+			.then(() =>
+			{
+				throw new Error('Should have failed')
+			},
+			(error) =>
+			{
+				;(error instanceof isomorpher.invalid_manifest_error).should.equal(true)
+
+				error.problems.map(problem => problem.path).should.deep.equal(['format_version', 'styles.main', 'assets../assets/broken.jpg'])
+
+				error.message.should.contain('"format_version" is 2 while format version 1 is expected')
+
+				error.message.should.contain(`"styles.main" file "${path.join(output_path, 'main.6c2b37c0fc8c0592e2d3.css')}" not found`)
+			})
+			.then(cleanup, (error) =>
+			{
+				cleanup()
+				throw error
+			})
+	})
+
 	it('should validate options', function()
 	{
 		let options = {}
 
 		const instantiate = () => new isomorpher(options)
 
-		instantiate.should.throw('You must specify "assets" parameter')
+		instantiate.should.throw('"assets" is required')
 
 		options = { whatever: true }
 
-		instantiate.should.throw('Unknown configuration parameter')
+		instantiate.should.throw('"whatever" is an unknown configuration parameter')
 
 		options = { debug: 'true' }
 
-		instantiate.should.throw('must be a boolean')
+		instantiate.should.throw('"debug" must be a boolean')
 
 		options = { verbose: 'true' }
 
-		instantiate.should.throw('must be a boolean')
+		instantiate.should.throw('"verbose" must be a boolean')
 
 		options = { verbosity: true }
 
-		instantiate.should.throw('must be a string')
+		instantiate.should.throw('"verbosity" must be a string')
 
 		options = { verbosity: 'gay' }
 
-		instantiate.should.throw('Unknown "verbosity"')
+		instantiate.should.throw('"verbosity" must be one of: "no webpack stats", "webpack stats for each build"')
 
 		options = { port: 'true' }
 
-		instantiate.should.throw('must be a number')
+		instantiate.should.throw('"port" must be a number')
 
 		options = { assets: 'true' }
 
-		instantiate.should.throw('must be an object')
+		instantiate.should.throw('"assets" must be an object')
 
 		options = { debug: true, webpack_assets_file_path: true }
 
-		instantiate.should.throw('must be a string')
+		instantiate.should.throw('"webpack_assets_file_path" must be a string')
 
 		options = { debug: true, webpack_stats_file_path: true }
 
-		instantiate.should.throw('must be a string')
+		instantiate.should.throw('"webpack_stats_file_path" must be a string')
 
 		options = { require_context: 'true' }
 
-		instantiate.should.throw('must be a boolean')
+		instantiate.should.throw('"require_context" must be a boolean')
 
 		options = { alias: 'true' }
 
-		instantiate.should.throw('must be an object')
+		instantiate.should.throw('"alias" must be an object')
+
+		options = { on_missing: 'ignore' }
+
+		instantiate.should.throw('"on_missing" must be one of: "throw", "warn" (or a function)')
+
+		options = { alias: { react: true } }
+
+		instantiate.should.throw('"alias.react" must be a string')
 
 		options = { modulesDirectories: 'true' }
 
-		instantiate.should.throw('must be an array')
+		instantiate.should.throw('"modules_directories" must be an array')
 
 		options = { assets: { images: {} } }
 
-		instantiate.should.throw('You must specify file extensions')
+		instantiate.should.throw('"assets.images.extensions" is required')
 
 		options = { assets: { images: { extension: ['jpg'] } } }
 
-		instantiate.should.throw('Use "extensions" key')
+		instantiate.should.throw('"assets.images.extension" must be a string (use "extensions" for a list of file extensions)')
 
 		options = { assets: { images: { extension: true } } }
 
-		instantiate.should.throw('must be a string')
+		instantiate.should.throw('"assets.images.extension" must be a string')
 
 		options = { assets: { images: { extension: 'jpg', whatever: true } } }
 
-		instantiate.should.throw('Unknown property "whatever"')
+		instantiate.should.throw('"assets.images.whatever" is an unknown configuration parameter')
 
 		options = { assets: { images: { extension: 'jpg', exclude: true } } }
 
-		instantiate.should.throw('must be an array')
+		instantiate.should.throw('"assets.images.exclude" must be an array')
 
 		options = { assets: { images: { extension: 'jpg', exclude: [true] } } }
 
-		instantiate.should.throw('Unsupported object type for exclusion/inclusion "true"')
+		instantiate.should.throw('"assets.images.exclude[0]" must be a string, a regular expression or a function')
 
 		options = { assets: { images: { extension: 'jpg', include: true } } }
 
-		instantiate.should.throw('must be an array')
+		instantiate.should.throw('"assets.images.include" must be an array')
 
 		options = { assets: { images: { extension: 'jpg', include: [true] } } }
 
-		instantiate.should.throw('Unsupported object type for exclusion/inclusion "true"')
+		instantiate.should.throw('"assets.images.include[0]" must be a string, a regular expression or a function')
 
 		options = { assets: { images: { extension: 'jpg', filter: true } } }
 
-		instantiate.should.throw('"filter" must be a function')
+		instantiate.should.throw('"assets.images.filter" must be a function')
 
 		options = { assets: { images: { extension: 'jpg', path: 'true' } } }
 
-		instantiate.should.throw('"path" must be a function')
+		instantiate.should.throw('"assets.images.path" must be a function')
 
 		options = { assets: { images: { extension: 'jpg', parser: undefined } } }
 
-		instantiate.should.throw('"parser" must be a function')
+		instantiate.should.throw('"assets.images.parser" must be a function')
+	})
+
+	it('should report all configuration problems at once', function()
+	{
+		const options =
+		{
+			debg: true,
+			port: '3000',
+			assets:
+			{
+				images:
+				{
+					extensions: ['jpg'],
+					pasrer: () => {}
+				},
+				fonts:
+				{
+					regular_expression: 'woff'
+				}
+			}
+		}
+
+		let error
+
+		try
+		{
+			new isomorpher(options)
+		}
+		catch (caught)
+		{
+			error = caught
+		}
+
+		error.problems.map(problem => problem.path).should.deep.equal
+		([
+			'debg',
+			'port',
+			'assets.images.pasrer',
+			'assets.fonts.regular_expression',
+			'assets.fonts.extensions'
+		])
+
+		error.message.should.equal
+		([
+			'Invalid webpack-isomorphic-tools configuration:',
+			' * "debg" is an unknown configuration parameter. Did you mean "debug"?',
+			' * "port" must be a number',
+			' * "assets.images.pasrer" is an unknown configuration parameter. Did you mean "assets.images.parser"?',
+			' * "assets.fonts.regular_expression" must be a regular expression',
+			' * "assets.fonts.extensions" is required (file extensions of this asset type)'
+		]
+		.join('\n'))
+	})
+
+	it('should output configuration options reference', function()
+	{
+		const reference = isomorpher.options_reference()
+
+		reference.should.contain('assets.<asset type>.parser')
+		reference.should.contain('verbose')
+		reference.should.contain('Deprecated: use "verbosity" instead')
+
+		isomorpher_plugin.options_reference().should.equal(reference)
 	})
 
 	it("should have camelCase variants for all its attributes", function()
@@ -0,0 +1,94 @@
+import chai from 'chai'
+
+import { loader_rules, test_extensions, asset_types_without_loaders, propose_asset_types, loader_kinds } from '../../source/plugin/loaders'
+
+chai.should()
+
+describe('loaders', function()
+{
+	it('should extract file extensions from rule tests', function()
+	{
+		test_extensions(/\.png$/).should.deep.equal(['png'])
+		test_extensions(/\.(png|jpe?g)$/).should.deep.equal(['png', 'jpg', 'jpeg'])
+		test_extensions(/\.(?:woff2?|eot)(\?.*)?$/).should.deep.equal(['woff', 'woff2', 'eot'])
+		test_extensions([/\.css$/, /\.scss$/]).should.deep.equal(['css', 'scss'])
+		test_extensions(/node_modules/).should.deep.equal([])
+		test_extensions('.png').should.deep.equal([])
+	})
+
+	it('should flatten loaders configuration', function()
+	{
+		loader_rules
+		({
+			rules:
+			[{
+				oneOf:
+				[{
+					test: /\.scss$/,
+					use: ['style-loader', { loader: 'css-loader', options: { modules: true } }, 'sass-loader']
+				}]
+			},
+			{
+				test: /\.png$/,
+				type: 'asset/resource'
+			}]
+		})
+		.should.deep.equal
+		([{
+			test: /\.scss$/,
+			loaders: ['style', 'css', 'sass'],
+			css_modules: true,
+			type: undefined
+		},
+		{
+			test: /\.png$/,
+			loaders: [],
+			css_modules: false,
+			type: 'asset/resource'
+		}])
+
+		// Webpack 1
+		loader_rules({ loaders: [{ test: /\.css$/, loader: 'style!css?modules&importLoaders=1' }] })
+			.should.deep.equal([{ test: /\.css$/, loaders: ['style', 'css'], css_modules: true, type: undefined }])
+
+		loader_rules({ loaders: [{ test: /\.css$/, loaders: ['/project/node_modules/style-loader/index.js', 'css'] }] })[0].loaders
+			.should.deep.equal(['style', 'css'])
+	})
+
+	it('should find asset types without loaders', function()
+	{
+		const rules = loader_rules({ loaders: [{ test: /\.(png|jpg)$/, loader: 'url-loader' }] })
+
+		asset_types_without_loaders
+		({
+			images : { extensions: ['png', 'gif'] },
+			fonts  : { extensions: ['woff'] }
+		},
+		rules)
+		.should.deep.equal(['fonts'])
+	})
+
+	it('should propose asset types', function()
+	{
+		const rules = loader_rules
+		({
+			rules:
+			[
+				{ test: /\.(png|jpe?g)$/, loader: 'url-loader' },
+				{ test: /\.(woff2?|ttf)$/, loader: 'file-loader' },
+				{ test: /\.css$/, use: ['style-loader', 'css-loader'] },
+				{ test: /\.scss$/, use: [{ loader: 'css-loader', options: { modules: true } }, 'sass-loader'] },
+				{ test: /\.less$/, use: ['css-loader', 'less-loader'] },
+				{ test: /\.js$/, loader: 'babel-loader' }
+			]
+		})
+
+		propose_asset_types({ images: { extensions: ['png'] } }, rules).should.deep.equal
+		([
+			{ name: 'images_2', kind: loader_kinds.url, extensions: ['jpg', 'jpeg'] },
+			{ name: 'fonts', kind: loader_kinds.url, extensions: ['woff', 'woff2', 'ttf'] },
+			{ name: 'styles', kind: loader_kinds.style, extensions: ['css'] },
+			{ name: 'style_modules', kind: loader_kinds.extracted_style_modules, extensions: ['scss'] }
+		])
+	})
+})
@@ -1,9 +1,13 @@
 import fs from 'fs'
+import os from 'os'
 import path from 'path'
+import crypto from 'crypto'
 
 import chai from 'chai'
 import plugin from '../../source/plugin/plugin.js'
-import { extract_path } from '../../source/plugin/write assets.js'
+import isomorpher from '../../source/index'
+import { extract_path, parse_context_module_name } from '../../source/plugin/write assets.js'
+import { compiler_file_path, chunks_info_file_path, uniform_path } from '../../source/common'
 
 import { extend, camel_case } from '../../source/helpers'
 
@@ -13,6 +17,9 @@ const webpack_stats = require(path.resolve(__dirname, 'webpack-stats.json'))
 
 const expected_webpack_assets =
 {
+	"format_version": 1,
+	"hash": "6c2b37c0fc8c0592e2d3",
+	"public_path": "http://127.0.0.1:3001/assets/",
 	"javascript":
 	{
 		"main": "http://127.0.0.1:3001/assets/main.6c2b37c0fc8c0592e2d3.js",
@@ -23,6 +30,53 @@ const expected_webpack_assets =
 		"main": "http://127.0.0.1:3001/assets/main.6c2b37c0fc8c0592e2d3.css",
     "vendor": "http://127.0.0.1:3001/assets/vendor.css?hash=6c2b37c0fc8c0592e2d3"
 	},
+	"chunks":
+	{
+		"main":
+		{
+			"javascript": ["http://127.0.0.1:3001/assets/main.6c2b37c0fc8c0592e2d3.js"],
+			"styles": ["http://127.0.0.1:3001/assets/main.6c2b37c0fc8c0592e2d3.css"],
+			"source_maps": ["http://127.0.0.1:3001/assets/main.6c2b37c0fc8c0592e2d3.js.map"],
+			"other": []
+		},
+		"vendor":
+		{
+			"javascript": ["http://127.0.0.1:3001/assets/vendor.js?hash=6c2b37c0fc8c0592e2d3"],
+			"styles": ["http://127.0.0.1:3001/assets/vendor.css?hash=6c2b37c0fc8c0592e2d3"],
+			"source_maps": ["http://127.0.0.1:3001/assets/vendor.js.map?hash=6c2b37c0fc8c0592e2d3"],
+			"other": []
+		}
+	},
+	"entrypoints":
+	{
+		"main":
+		{
+			"javascript":
+			[
+				"http://127.0.0.1:3001/assets/vendor.js?hash=6c2b37c0fc8c0592e2d3",
+				"http://127.0.0.1:3001/assets/main.6c2b37c0fc8c0592e2d3.js"
+			],
+			"styles":
+			[
+				"http://127.0.0.1:3001/assets/vendor.css?hash=6c2b37c0fc8c0592e2d3",
+				"http://127.0.0.1:3001/assets/main.6c2b37c0fc8c0592e2d3.css"
+			]
+		}
+	},
+	"integrity": {},
+	"contexts":
+	{
+		"./assets/ sync recursive ^\\.\\/.*\\.jpg$":
+		{
+			"directory": "./assets",
+			"recursive": true,
+			"regular_expression": "^\\.\\/.*\\.jpg$",
+			"keys":
+			{
+				"./husky.jpg": "./assets/husky.jpg"
+			}
+		}
+	},
 	"assets":
 	{
 		"./assets/husky.jpg": "http://127.0.0.1:3001/assets/9059f094ddb49c2b0fa6a254a6ebf2ad.jpg",
@@ -51,6 +105,9 @@ const webpack_configuration =
 const webpack_assets_path = path.resolve(__dirname, '../webpack-assets.json')
 const webpack_stats_path = path.resolve(__dirname, 'webpack-stats.json')
 
+// `MultiCompiler` child compiler names
+const compiler_names = ['client', 'worker']
+
 // deletes webpack-assets.json if it exists
 function cleanup_webpack_assets()
 {
@@ -85,6 +142,22 @@ function cleanup_webpack_assets()
 			throw new Error('Failed to delete webpack-stats.json')
 		}
 	}
+
+	// delete files written for each of `MultiCompiler` child compilers
+	for (let compiler_name of compiler_names)
+	{
+		for (let file_path of [webpack_assets_path, webpack_stats_path])
+		{
+			file_path = compiler_file_path(file_path, compiler_name)
+
+			delete require.cache[file_path]
+
+			if (fs.existsSync(file_path))
+			{
+				fs.unlinkSync(file_path)
+			}
+		}
+	}
 }
 
 const settings = () =>
@@ -161,6 +234,11 @@ describe('plugin', function()
 
 			plugin: function(phase, callback)
 			{
+				if (phase !== 'done')
+				{
+					return
+				}
+
 				callback({ toJson: () => webpack_stats, toString: () => 'stats' })
 
 				require(webpack_assets_path).should.deep.equal(expected_webpack_assets)
@@ -173,6 +251,287 @@ describe('plugin', function()
 		process.env.NODE_ENV = NODE_ENV
 	})
 
+	it('should compute integrity hashes for emitted files', function(done)
+	{
+		const sha384 = contents => 'sha384-' + crypto.createHash('sha384').update(contents).digest('base64')
+
+		// Webpack 5 discards the contents of emitted files,
+		// so they're read from the output folder
+		const output_path = fs.mkdtempSync(path.join(os.tmpdir(), 'webpack-isomorphic-tools-'))
+		fs.writeFileSync(path.join(output_path, 'vendor.css'), 'vendor styles')
+
+		const compilation =
+		{
+			outputOptions: { path: output_path },
+			assets:
+			{
+				'main.6c2b37c0fc8c0592e2d3.js': { source: () => 'main javascript' },
+				'vendor.css?hash=6c2b37c0fc8c0592e2d3': { source: () => { throw new Error('Content and Map of this Source is not available (only size() is supported)') } }
+			}
+		}
+
+		new plugin(settings()).apply
+		({
+			options: webpack_configuration,
+
+			plugin: function(phase, callback)
+			{
+				if (phase !== 'done')
+				{
+					return
+				}
+
+				callback({ toJson: () => webpack_stats, toString: () => 'stats', compilation })
+
+				fs.unlinkSync(path.join(output_path, 'vendor.css'))
+				fs.rmdirSync(output_path)
+
+				// (relative to the project folder)
+				require(webpack_assets_path).output_path.should.equal(uniform_path(path.relative(__dirname, output_path)))
+
+				require(webpack_assets_path).integrity.should.deep.equal
+				({
+					'http://127.0.0.1:3001/assets/main.6c2b37c0fc8c0592e2d3.js': sha384('main javascript'),
+					'http://127.0.0.1:3001/assets/vendor.css?hash=6c2b37c0fc8c0592e2d3': sha384('vendor styles')
+				})
+
+				done()
+			}
+		})
+	})
+
+	it('should only rewrite webpack-assets.json when the assets change (`split_chunks_info`)', function()
+	{
+		const chunks_info_path = chunks_info_file_path(webpack_assets_path)
+
+		let done_listener
+
+		new plugin(extend({}, settings(), { split_chunks_info: true })).apply
+		({
+			options: webpack_configuration,
+
+			plugin: function(phase, callback)
+			{
+				if (phase === 'done')
+				{
+					done_listener = callback
+				}
+			}
+		})
+
+		done_listener({ toJson: () => webpack_stats, toString: () => 'stats' })
+
+		const webpack_assets = JSON.parse(fs.readFileSync(webpack_assets_path, 'utf8'))
+
+		webpack_assets.chunks_info.should.equal('./webpack-assets.chunks-info.json')
+		webpack_assets.assets.should.deep.equal(expected_webpack_assets.assets)
+		JSON.parse(fs.readFileSync(chunks_info_path, 'utf8')).hash.should.equal(expected_webpack_assets.hash)
+
+		// pretend the files were written long ago
+		const long_ago = new Date(2000, 1, 1)
+		fs.utimesSync(webpack_assets_path, long_ago, long_ago)
+
+		// a new build with the same assets
+		done_listener({ toJson: () => extend({}, webpack_stats, { hash: 'new' }), toString: () => 'stats' })
+
+		fs.statSync(webpack_assets_path).mtime.getTime().should.equal(long_ago.getTime())
+		JSON.parse(fs.readFileSync(chunks_info_path, 'utf8')).hash.should.equal('new')
+
+		fs.unlinkSync(chunks_info_path)
+	})
+
+	it('should support Webpack 4+ `compiler.hooks` API', function()
+	{
+		const aliases = { 'original_module_name': 'aliased_module_name' }
+
+		const plugin_instance = new plugin(extend({}, settings(), { alias: aliases }))
+
+		const listeners = {}
+
+		const hook = event =>
+		({
+			tap: (name, listener) =>
+			{
+				name.should.equal('webpack-isomorphic-tools')
+				listeners[event] = listener
+			}
+		})
+
+		plugin_instance.apply
+		({
+			options: extend({}, webpack_configuration, { mode: 'development' }),
+
+			hooks:
+			{
+				done    : hook('done'),
+				invalid : hook('invalid'),
+				failed  : hook('failed')
+			}
+		})
+
+		// development mode is taken from Webpack `mode`
+		plugin_instance.options.development.should.equal(true)
+
+		Object.keys(listeners).should.deep.equal(['invalid', 'failed', 'done'])
+
+		listeners.invalid()
+		listeners.failed(new Error('this is not an error, this is a test'))
+
+		listeners.done({ toJson: () => webpack_stats, toString: () => 'stats' })
+
+		require(webpack_assets_path).should.deep.equal(expected_webpack_assets)
+	})
+
+	it('should prefer `.development()` over Webpack `mode`', function()
+	{
+		const plugin_instance = new plugin(settings()).development(false)
+
+		plugin_instance.apply
+		({
+			options: extend({}, webpack_configuration, { mode: 'development' }),
+			plugin: () => {}
+		})
+
+		plugin_instance.options.development.should.equal(false)
+
+		const production_plugin_instance = new plugin(settings())
+
+		production_plugin_instance.apply
+		({
+			options: extend({}, webpack_configuration, { mode: 'production' }),
+			plugin: () => {}
+		})
+
+		production_plugin_instance.options.development.should.equal(false)
+	})
+
+	it('should support Webpack `MultiCompiler` (merged webpack-assets.json)', function()
+	{
+		const aliases = { 'original_module_name': 'aliased_module_name' }
+
+		let listener
+
+		new plugin(extend({}, settings(), { alias: aliases })).apply
+		({
+			compilers: compiler_names.map(name => ({ name, options: webpack_configuration })),
+
+			plugin: function(phase, callback)
+			{
+				if (phase === 'done')
+				{
+					listener = callback
+				}
+			}
+		})
+
+		const stats = { toJson: () => webpack_stats, toString: () => 'stats' }
+
+		listener({ stats: [stats, stats] })
+
+		require(webpack_assets_path).should.deep.equal
+		({
+			compilers:
+			{
+				client: expected_webpack_assets,
+				worker: expected_webpack_assets
+			}
+		})
+	})
+
+	it('should support Webpack `MultiCompiler` (per compiler webpack-assets.json)', function()
+	{
+		const aliases = { 'original_module_name': 'aliased_module_name' }
+
+		let listener
+
+		new plugin(extend({}, settings(), { alias: aliases, multi_compiler_manifest: 'per compiler' })).apply
+		({
+			compilers: compiler_names.map(name => ({ name, options: webpack_configuration })),
+
+			plugin: function(phase, callback)
+			{
+				if (phase === 'done')
+				{
+					listener = callback
+				}
+			}
+		})
+
+		const stats = { toJson: () => webpack_stats, toString: () => 'stats' }
+
+		listener({ stats: [stats, stats] })
+
+		require(webpack_assets_path).should.deep.equal
+		({
+			compilers:
+			{
+				client: './webpack-assets.client.json',
+				worker: './webpack-assets.worker.json'
+			}
+		})
+
+		for (let compiler_name of compiler_names)
+		{
+			require(compiler_file_path(webpack_assets_path, compiler_name)).should.deep.equal(expected_webpack_assets)
+		}
+	})
+
+	it('should capture Webpack `resolve` settings', function()
+	{
+		const apply = (resolve, options) =>
+		{
+			const plugin_instance = new plugin(extend({}, settings(), options))
+			plugin_instance.apply({ options: extend({}, webpack_configuration, { resolve }), plugin: () => {} })
+			return plugin_instance.options
+		}
+
+		// Webpack 2+
+		let options = apply
+		({
+			alias      : { components: '/project/components', ignored: false },
+			modules    : ['node_modules', '/project/source'],
+			extensions : ['.js', '.jsx'],
+			plugins    : [{}]
+		},
+		{
+			alias : { react: 'preact-compat' }
+		})
+
+		options.resolve.should.deep.equal
+		({
+			alias      : { components: '/project/components' },
+			modules    : ['node_modules', '/project/source'],
+			extensions : ['.js', '.jsx']
+		})
+
+		options.alias.should.deep.equal({ components: '/project/components', react: 'preact-compat' })
+		options.modules_directories.should.deep.equal(['node_modules', '/project/source'])
+
+		// Webpack 5 aliases
+		apply({ alias: [{ name: 'components', alias: ['/project/components', '/fallback'], onlyModule: true }] })
+			.resolve.should.deep.equal({ alias: { 'components$': '/project/components' } })
+
+		// Webpack 1
+		apply({ modulesDirectories: ['web_modules'], root: '/project/source', extensions: ['', '.js'] })
+			.resolve.should.deep.equal({ modules: ['web_modules', '/project/source'], extensions: ['.js'] })
+
+		// explicitly configured
+		apply({ extensions: ['.jsx'] }, { resolve: { extensions: ['.ts'] } })
+			.resolve.should.deep.equal({ extensions: ['.ts'] })
+
+		// Webpack 4 defaults
+		apply({ modules: ['node_modules'], extensions: ['.wasm', '.mjs', '.js', '.json'], mainFields: ['main'] })
+			.resolve.should.deep.equal({ modules: ['node_modules'] })
+
+		// Webpack 5 defaults
+		apply({ extensions: ['.js', '.json', '.wasm'] })
+			.resolve.should.deep.equal({})
+
+		// configured along with the defaults
+		apply({ extensions: ['.wasm', '.mjs', '.js', '.jsx', '.json'] })
+			.resolve.should.deep.equal({ extensions: ['.js', '.jsx'] })
+	})
+
 	it('should throw errors for misconfiguration', function(done)
 	{
 		const try_plugin = (webpack_configuration) =>
@@ -192,6 +551,112 @@ describe('plugin', function()
 		done()
 	})
 
+	it('should derive asset types from Webpack loaders configuration', function()
+	{
+		const loaders_webpack_configuration = extend({}, webpack_configuration,
+		{
+			module:
+			{
+				rules:
+				[
+					{ test: /\.(png|jpg|ico|svg)$/, loader: 'url-loader' },
+					{ test: /\.(woff2?|eot|ttf)$/, loader: 'file-loader' },
+					{ test: /\.scss$/, use: ['style-loader', 'css-loader', 'sass-loader'] },
+					{ test: /\.less$/, use: ['style-loader', { loader: 'css-loader', options: { modules: true } }, 'less-loader'] },
+					{ test: /\.(js|text_parser_test|object_parser_test)$/, loader: 'babel-loader' }
+				]
+			}
+		})
+
+		const apply = (options) =>
+		{
+			const plugin_instance = new plugin(extend({}, settings(), options))
+			plugin_instance.apply({ options: loaders_webpack_configuration, plugin: () => {} })
+			return plugin_instance
+		}
+
+		// "generate"
+
+		const plugin_instance = apply({ derive_asset_types: 'generate' })
+
+		plugin_instance.options.assets.style_modules.should.deep.equal
+		({
+			extensions : ['less'],
+			filter     : plugin.style_loader_filter,
+			path       : plugin.style_loader_path_extractor,
+			parser     : plugin.css_modules_loader_parser
+		})
+
+		plugin_instance.regular_expression('style_modules').should.deep.equal(/\.less$/)
+
+		// (covered file types are left as is)
+		Object.keys(plugin_instance.options.assets).length.should.equal(6)
+
+		// "propose"
+
+		let output = ''
+		const log = console.log
+		console.log = (...parameters) => output += parameters.join(' ') + '\n'
+
+		try
+		{
+			apply({ derive_asset_types: 'propose' }).options.assets.should.not.have.property('style_modules')
+		}
+		finally
+		{
+			console.log = log
+		}
+
+		output.should.contain('style_modules:')
+		output.should.contain(`extensions: ['less']`)
+		output.should.contain('parser: Webpack_isomorphic_tools_plugin.css_modules_loader_parser')
+
+		// no loader configured for an asset type
+		const no_loader = () => apply({ derive_asset_types: 'propose', assets: { images: { extension: 'gif' } } })
+		no_loader.should.throw('No Webpack loader is configured for asset types: "images" (gif)')
+	})
+
+	it('should write options file for the server-side instance', function()
+	{
+		const output_path = fs.mkdtempSync(path.join(os.tmpdir(), 'webpack-isomorphic-tools-'))
+		const options_file_path = path.join(output_path, 'webpack-isomorphic-tools-options.js')
+
+		const plugin_settings = settings()
+
+		plugin_settings.options_file_path = options_file_path
+		plugin_settings.alias = { original_module_name: 'aliased_module_name' }
+		plugin_settings.assets.images_and_fonts.include = [/assets/, path => path.indexOf('.') === 0]
+
+		try
+		{
+			new plugin(plugin_settings).development().apply({ options: webpack_configuration, plugin: () => {} })
+
+			const server = new isomorpher(options_file_path)
+
+			server.options.alias.should.deep.equal({ original_module_name: 'aliased_module_name' })
+			server.options.webpack_assets_file_path.should.equal(webpack_assets_path)
+
+			const include = server.options.assets.images_and_fonts.include
+			include[0].should.deep.equal(/assets/)
+			include[1]('./image.png').should.equal(true)
+
+			server.options.assets.styles.should.deep.equal({ extensions: ['scss'] })
+
+			// plugin-only settings aren't written
+			server.options.assets.object_parser_test.should.not.have.property('parser')
+			server.options.should.not.have.property('project_path')
+		}
+		finally
+		{
+			delete require.cache[options_file_path]
+			fs.unlinkSync(options_file_path)
+			fs.rmdirSync(output_path)
+		}
+
+		const absent = () => new isomorpher(options_file_path)
+		absent.should.throw('options file')
+	})
+
 	it('should throw errors for regular expressions', function(done)
 	{
 		const plugin_instance = new plugin(settings())
@@ -201,6 +666,11 @@ describe('plugin', function()
 
 			plugin: function(phase, callback)
 			{
+				if (phase !== 'done')
+				{
+					return
+				}
+
 				const absent_asset_type = () => plugin_instance.regular_expression('absent')
 
 				absent_asset_type.should.throw('There\'s no asset type "absent"')
@@ -222,6 +692,11 @@ describe('plugin', function()
 
 			plugin: function(phase, callback)
 			{
+				if (phase !== 'done')
+				{
+					return
+				}
+
 				callback
 				({
 					toJson: () =>
@@ -306,4 +781,50 @@ describe('plugin', function()
 		extract_path('abc.css').should.equal('abc.css')
     extract_path('abc.css?hash=123456').should.equal('abc.css')
 	})
+
+	it('should parse context module names', function()
+	{
+		// Webpack 5
+		parse_context_module_name('./pages/ sync recursive ^\\.\\/.*%7C.*\\.js$').should.deep.equal
+		({
+			directory: './pages',
+			recursive: true,
+			regular_expression: '^\\.\\/.*|.*\\.js$'
+		})
+
+		// Webpack 4 (non-recursive)
+		parse_context_module_name('./pages sync \\.js$').should.deep.equal
+		({
+			directory: './pages',
+			recursive: false,
+			regular_expression: '\\.js$'
+		})
+
+		// Webpack 1
+		parse_context_module_name('. ^\\.\\/.*$').should.deep.equal
+		({
+			directory: '.',
+			recursive: true,
+			regular_expression: '^\\.\\/.*$'
+		})
+
+		parse_context_module_name('./pages nonrecursive ^\\.\\/.*$').recursive.should.equal(false)
+
+		// directories having spaces
+		parse_context_module_name('./my pages/ sync recursive ^\\.\\/.*\\.js$').should.deep.equal
+		({
+			directory: './my pages',
+			recursive: true,
+			regular_expression: '^\\.\\/.*\\.js$'
+		})
+
+		parse_context_module_name('./my lazy pages lazy ^\\.\\/.*$').should.deep.equal
+		({
+			directory: './my lazy pages',
+			recursive: true,
+			regular_expression: '^\\.\\/.*$'
+		})
+
+		parse_context_module_name('./my pages nonrecursive ^\\.\\/.*$').directory.should.equal('./my pages')
+	})
 })
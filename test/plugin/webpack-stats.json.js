@@ -8,7 +8,8 @@ module.exports =
 		"main":
 		[
 			"main.6c2b37c0fc8c0592e2d3.js",
-			"main.6c2b37c0fc8c0592e2d3.css"
+			"main.6c2b37c0fc8c0592e2d3.css",
+			"main.6c2b37c0fc8c0592e2d3.js.map"
 		],
     "vendor":
 		[
@@ -17,6 +18,22 @@ module.exports =
 		]
 	},
 
+	"entrypoints":
+	{
+		"main":
+		{
+			"chunks": [1, 0],
+			"assets":
+			[
+				"vendor.js?hash=6c2b37c0fc8c0592e2d3",
+				"vendor.css?hash=6c2b37c0fc8c0592e2d3",
+				"main.6c2b37c0fc8c0592e2d3.js",
+				"main.6c2b37c0fc8c0592e2d3.css",
+				"main.6c2b37c0fc8c0592e2d3.js.map"
+			]
+		}
+	},
+
 	"assets":
 	[{
 		"name": "main.6c2b37c0fc8c0592e2d3.js",
@@ -60,6 +77,11 @@ module.exports =
 		[
 			"vendor.js?hash=6c2b37c0fc8c0592e2d3",
 			"vendor.css?hash=6c2b37c0fc8c0592e2d3"
+		],
+		// Webpack 5 lists source maps here
+		"auxiliaryFiles":
+		[
+			"vendor.js.map?hash=6c2b37c0fc8c0592e2d3"
 		]
 	}],
 
@@ -74,6 +96,11 @@ module.exports =
 		"reasons":
 		[{
 			"userRequest": "./assets/husky.jpg"
+		},
+		{
+			"type": "context element",
+			"moduleName": "./assets/ sync recursive ^\\.\\/.*\\.jpg$",
+			"userRequest": "./husky.jpg"
 		}],
 		"source": "module.exports = __webpack_public_path__ + \"9059f094ddb49c2b0fa6a254a6ebf2ad.jpg\""
 	},
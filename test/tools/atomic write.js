@@ -0,0 +1,42 @@
+import fs   from 'fs'
+import path from 'path'
+
+import chai from 'chai'
+import write_file_atomically from '../../source/tools/atomic write'
+
+chai.should()
+
+const directory = path.resolve(__dirname, 'written')
+const file_path = path.join(directory, 'written.json')
+
+// deletes the written directory if it exists
+function cleanup()
+{
+	if (fs.existsSync(file_path))
+	{
+		fs.unlinkSync(file_path)
+	}
+
+	if (fs.existsSync(directory))
+	{
+		fs.rmdirSync(directory)
+	}
+}
+
+describe('atomic write', function()
+{
+	beforeEach(cleanup)
+	afterEach(cleanup)
+
+	it('should write files atomically', function()
+	{
+		write_file_atomically(file_path, '{ "a": 1 }')
+		fs.readFileSync(file_path, 'utf8').should.equal('{ "a": 1 }')
+
+		write_file_atomically(file_path, '{ "a": 2 }')
+		fs.readFileSync(file_path, 'utf8').should.equal('{ "a": 2 }')
+
+		// no temporary files are left behind
+		fs.readdirSync(directory).should.deep.equal(['written.json'])
+	})
+})
@@ -0,0 +1,75 @@
+import chai from 'chai'
+import rewrite_dynamic_imports from '../../source/tools/dynamic import'
+
+chai.should()
+
+const rewrite = source => rewrite_dynamic_imports(source, { import: '__imp$', System: '__sys$' })
+
+describe('dynamic import', function()
+{
+	it('should rewrite import() calls', function()
+	{
+		rewrite(`module.exports = import('./a')`).should.deep.equal({ source: `module.exports = __imp$('./a')`, rewritten: ['import'] })
+		rewrite(`import ('./a').then(() => import(\`./\${name}\`))`).source.should.equal(`__imp$ ('./a').then(() => __imp$(\`./\${name}\`))`)
+		rewrite(`const a = \`\${ await import('./a') }\``).source.should.equal(`const a = \`\${ await __imp$('./a') }\``)
+		rewrite(`#!/usr/bin/env node\nimport('./a')`).source.should.equal(`#!/usr/bin/env node\n__imp$('./a')`)
+		rewrite(`const element = <div/>; import('./a')`).source.should.equal(`const element = <div/>; __imp$('./a')`)
+	})
+
+	it('should not rewrite methods named "import"', function()
+	{
+		const source = `class A { import(x) {} static import (y) {} }\nconst b = { import (y) {}, import: function() {} }\nb.import('./a'); b['import']('./a')`
+
+		rewrite(source).should.deep.equal({ source, rewritten: [] })
+	})
+
+	it('should not rewrite strings, template literals and comments', function()
+	{
+		const source = `var a = "call import(here)"; var b = 'import(x)'; var c = \`import(y)\`\n// import('./a')\n/* import('./b') */`
+
+		rewrite(source).should.deep.equal({ source, rewritten: [] })
+	})
+
+	it('should not rewrite static imports and import.meta', function()
+	{
+		const source = `import a from './a'\nimport * as b from './b'\nconsole.log(import.meta.url)`
+
+		rewrite(source).should.deep.equal({ source, rewritten: [] })
+	})
+
+	it('should rewrite System.import() calls', function()
+	{
+		rewrite(`if (typeof System !== 'undefined') System.import('./a')`).should.deep.equal
+		({
+			source    : `if (typeof __sys$ !== 'undefined') __sys$.import('./a')`,
+			rewritten : ['System']
+		})
+
+		// `typeof System` alone (e.g. SystemJS detection) is left as is
+		rewrite(`typeof System`).source.should.equal(`typeof System`)
+
+		// the file's own `System`
+		for (let source of [`let System = require('systemjs'); System.import('./a')`, `function load(System) { return System.import('./a') }`, `import System from 'systemjs'; System.import('./a')`])
+		{
+			rewrite(source).should.deep.equal({ source, rewritten: [] })
+		}
+	})
+
+	it('should only rewrite the requested calls', function()
+	{
+		rewrite_dynamic_imports(`import('./a'); System.import('./b')`, { System: '__sys$' }).should.deep.equal
+		({
+			source    : `import('./a'); __sys$.import('./b')`,
+			rewritten : ['System']
+		})
+	})
+
+	it('should throw for invalid source code', function()
+	{
+		const invalid = () => rewrite(`import(`)
+		invalid.should.throw(SyntaxError)
+
+		const wrong_length = () => rewrite_dynamic_imports(`import('./a')`, { import: '__import' })
+		wrong_length.should.throw('"__import" must have the same length as "import"')
+	})
+})
@@ -0,0 +1,61 @@
+import http from 'http'
+
+import chai from 'chai'
+import { event_stream_parser, start_event_stream, subscribe } from '../../source/tools/event stream'
+
+chai.should()
+
+describe('event stream', function()
+{
+	it('should parse event stream', function()
+	{
+		const events = []
+
+		const parse = event_stream_parser((event, data) => events.push([event, data]))
+
+		parse('\n')
+		parse('event: build-started\ndata: {}\n\n: a comment\n\nevent: build-fin')
+		parse('ished\ndata: {"hash":\ndata: "abc"}\n\ndata: 1\n\n')
+
+		events.should.deep.equal
+		([
+			['build-started', {}],
+			['build-finished', { hash: 'abc' }],
+			['message', 1]
+		])
+	})
+
+	it('should report malformed events', function()
+	{
+		const events = []
+		const errors = []
+
+		const parse = event_stream_parser((event, data) => events.push([event, data]), error => errors.push(error))
+
+		parse('data: 1\n\ndata: {"hash"\n\ndata: 2\n\n')
+		parse('data: 3\n\n')
+
+		events.should.deep.equal([['message', 1]])
+		errors.length.should.equal(1)
+		;(errors[0] instanceof SyntaxError).should.equal(true)
+	})
+
+	it('should disconnect on a malformed event', function(done)
+	{
+		const server = http.createServer((request, response) =>
+		{
+			start_event_stream(response)
+			response.write('event: build-finished\ndata: {"hash"\n\n')
+		})
+
+		server.listen(0, () =>
+		{
+			subscribe(server.address().port, '/events', () => {}, (error) =>
+			{
+				server.close()
+				;(error instanceof SyntaxError).should.equal(true)
+				done()
+			})
+		})
+	})
+})
@@ -0,0 +1,34 @@
+import chai from 'chai'
+import insert_preamble from '../../source/tools/insert preamble'
+
+chai.should()
+
+describe('insert preamble', function()
+{
+	it('should insert preamble in the beginning', function()
+	{
+		insert_preamble('module.exports = 1', 'var a = 1').should.equal(';var a = 1;module.exports = 1')
+		insert_preamble('\n\nmodule.exports = 1', 'var a = 1').should.equal(';var a = 1;\n\nmodule.exports = 1')
+	})
+
+	it('should insert preamble after directives', function()
+	{
+		insert_preamble(`'use strict'\nmodule.exports = 1`, 'var a = 1').should.equal(`'use strict';var a = 1;\nmodule.exports = 1`)
+		insert_preamble(`"use strict"; // comment\nmodule.exports = 1`, 'var a = 1').should.equal(`"use strict";;var a = 1; // comment\nmodule.exports = 1`)
+		insert_preamble(`/* license */\n// comment\n'use strict';\n"use asm"\nmodule.exports = 1`, 'var a = 1').should.equal(`/* license */\n// comment\n'use strict';\n"use asm";var a = 1;\nmodule.exports = 1`)
+		insert_preamble(`'use \\'strict\\''\nmodule.exports = 1`, 'var a = 1').should.equal(`'use \\'strict\\'';var a = 1;\nmodule.exports = 1`)
+	})
+
+	it('should not mistake string expressions for directives', function()
+	{
+		insert_preamble(`'use strict'.length`, 'var a = 1').should.equal(`;var a = 1;'use strict'.length`)
+		insert_preamble(`'a' + 'b'`, 'var a = 1').should.equal(`;var a = 1;'a' + 'b'`)
+	})
+
+	it('should insert preamble after a byte order mark and a shebang', function()
+	{
+		insert_preamble('﻿"use strict"\nmodule.exports = 1', 'var a = 1').should.equal('﻿"use strict";var a = 1;\nmodule.exports = 1')
+		insert_preamble('#!/usr/bin/env node\nmodule.exports = 1', 'var a = 1').should.equal('#!/usr/bin/env node\n;var a = 1;module.exports = 1')
+		insert_preamble('#!/usr/bin/env node', 'var a = 1').should.equal('#!/usr/bin/env node\n;var a = 1;')
+	})
+})
@@ -0,0 +1,58 @@
+import { spawn } from 'child_process'
+
+import chai from 'chai'
+import request from '../../source/tools/synchronous http'
+
+chai.should()
+
+// synchronous HTTP requests block the event loop,
+// so the HTTP service is run in a separate process.
+// it counts full responses and serves the count itself
+// so that one can tell "304 Not Modified" responses from the full ones.
+const service = `
+	var responses = 0
+	var server = require('http').createServer(function(request, response)
+	{
+		if (request.headers['if-none-match'] === '"abc"')
+		{
+			response.writeHead(304)
+			return response.end()
+		}
+		responses++
+		response.writeHead(200, { 'Content-Type': 'application/json', 'ETag': '"abc"' })
+		response.end(JSON.stringify({ responses: responses }))
+	})
+	server.listen(0, function() { console.log(server.address().port) })
+`
+
+describe('synchronous http', function()
+{
+	this.timeout(10000)
+
+	it('should reuse data when it hasn\'t changed', function(done)
+	{
+		const child = spawn(process.execPath, ['-e', service])
+
+		child.stdout.once('data', (port) =>
+		{
+			try
+			{
+				port = parseInt(port.toString(), 10)
+
+				const data = request(port)
+				data.should.deep.equal({ responses: 1 })
+
+				// "304 Not Modified"
+				request(port).should.equal(data)
+			}
+			catch (error)
+			{
+				child.kill()
+				return done(error)
+			}
+
+			child.kill()
+			done()
+		})
+	})
+})
@@ -0,0 +1,82 @@
+import fs   from 'fs'
+import path from 'path'
+
+import chai from 'chai'
+import watch_files from '../../source/tools/watch files'
+
+chai.should()
+
+const directory = path.resolve(__dirname, 'watched')
+const file_path = path.join(directory, 'watched.json')
+
+// deletes the watched directory if it exists
+function cleanup()
+{
+	if (fs.existsSync(file_path))
+	{
+		fs.unlinkSync(file_path)
+	}
+
+	if (fs.existsSync(directory))
+	{
+		fs.rmdirSync(directory)
+	}
+}
+
+describe('watch files', function()
+{
+	beforeEach(cleanup)
+	afterEach(cleanup)
+
+	it('should watch files in a directory which is yet to be created', function(done)
+	{
+		const watcher = watch_files(directory, file_name => file_name === 'watched.json', () =>
+		{
+			watcher.close()
+
+			fs.readFileSync(file_path, 'utf8').should.equal('{}')
+
+			done()
+		})
+
+		setTimeout(() =>
+		{
+			fs.mkdirSync(directory)
+			fs.writeFileSync(path.join(directory, 'unwatched.json'), '{}')
+			fs.unlinkSync(path.join(directory, 'unwatched.json'))
+			fs.writeFileSync(file_path, '{}')
+		},
+		100)
+	})
+
+	it('should keep watching files when the directory is deleted and created again', function(done)
+	{
+		fs.mkdirSync(directory)
+		fs.writeFileSync(file_path, '{}')
+
+		const watcher = watch_files(directory, file_name => file_name === 'watched.json', () =>
+		{
+			// (also called when the file is deleted)
+			if (!fs.existsSync(file_path) || fs.readFileSync(file_path, 'utf8') !== '{"rebuilt":true}')
+			{
+				return
+			}
+
+			watcher.close()
+			done()
+		})
+
+		setTimeout(() =>
+		{
+			cleanup()
+
+			setTimeout(() =>
+			{
+				fs.mkdirSync(directory)
+				fs.writeFileSync(file_path, '{"rebuilt":true}')
+			},
+			100)
+		},
+		100)
+	})
+})